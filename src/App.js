@@ -4,15 +4,70 @@
 
 import React, { useState, useRef, useEffect, useCallback, useMemo, createContext, useContext } from 'react';
 import axios from 'axios';
-import { FiUpload, FiDownload, FiPlay, FiSquare, FiSun, FiMoon, FiHelpCircle, FiUsers, FiTrash2, FiLock } from 'react-icons/fi';
+import { FiUpload, FiDownload, FiPlay, FiSquare, FiSun, FiMoon, FiHelpCircle, FiUsers, FiTrash2, FiLock, FiEye, FiCheckCircle, FiPlus, FiCopy, FiRotateCcw, FiUnlock } from 'react-icons/fi';
 import { Tooltip } from 'react-tooltip';
 import { List } from 'react-virtualized';
-import { Chart as ChartJS, ArcElement, Tooltip as ChartTooltip, Legend } from 'chart.js';
-import { Pie } from 'react-chartjs-2';
-import { convertCSVtoJSON } from './convertCSVtoJSON';
+import { Chart as ChartJS, ArcElement, BarElement, CategoryScale, LinearScale, Tooltip as ChartTooltip, Legend } from 'chart.js';
+import { Pie, Bar } from 'react-chartjs-2';
+import {
+  parseCSV,
+  rowToUser,
+  USER_FIELDS,
+  ATTRIBUTE_FIELDS,
+  IMPORTABLE_USER_FIELDS,
+  convertJSONtoCSV,
+  parseEditedReferenceCell,
+  parseUserCell,
+  formatUserCell,
+  toImportableUser,
+} from './convertCSVtoJSON';
+import { needsMapping, suggestMapping, applyMapping, loadSavedMappings, storeSavedMappings, findSavedMapping } from './columnMapping';
+import { xlsxToCSV, buildWorkbook, XLSX_MIME_TYPE } from './excel';
+import { streamCSV, streamJSON } from './streamingParse';
+import {
+  diffUser,
+  summarizeDiff,
+  resolveAssignments,
+  usesReplaceOnly,
+  DIFF_FIELDS,
+  COLLECTION_FIELDS,
+  ASSIGNMENT_STRATEGIES,
+  DEFAULT_ASSIGNMENT_STRATEGIES,
+} from './userDiff';
+import { collectReferences, idsByEndpoint, findDuplicateUsernames, findReferenceIssues, REFERENCE_FIELDS, UID_PATTERN } from './referenceValidation';
+import {
+  hasUnresolvedReferences,
+  collectUnresolved,
+  matchReference,
+  applyResolution,
+  isListSafe,
+  candidateListQueries,
+  candidateLookupQuery,
+  valuesNeedingLookup,
+} from './referenceResolution';
+import { dbGet, dbGetAll, dbPut, dbDelete, dbClear, STORES } from './localDb';
+import { JOURNAL_OPERATIONS, JOURNAL_DISPLAY_LIMIT, createJournalEntry, sortJournal, buildRestorePayload, buildJournalBackup } from './operationJournal';
+import {
+  isRetryable,
+  getRetryDelay,
+  adjustConcurrency,
+  emptyRequestStats,
+  summarizeRequestStats,
+  CONCURRENCY_LIMITS,
+} from './requestPolicy';
+import { IMPORT_STRATEGIES, ATOMIC_MODES, buildMetadataImportUrl, parseImportReport, hasImportReport, importReportStats } from './metadataImport';
+import { EMPTY_EXPORT_CRITERIA, buildUserQuery, hasExportCriteria } from './exportQuery';
+import { buildLevelColumns, flattenOrgUnitLevels, orgUnitPath, levelColumnId } from './orgUnitHierarchy';
+import { sortUsers, toggleSort, moveColumn } from './userTable';
+import { EMPTY_FILTER, FILTER_OPERATORS, compileFilter, isValidRegex, filterToQuery, filterFromQuery, loadFilterSets, storeFilterSets } from './filterBuilder';
+import { parseUserList, classifyUserList, buildListResultCSV, buildFailureListCSV } from './userList';
+import { parsePasswordCSV, passwordRowErrors, passwordRowProblems, applyRoleChanges, ROLE_MODES } from './passwordCsv';
+import { DEFAULT_PASSWORD_POLICY, PASSWORD_SETTING_KEYS, policyFromSettings, checkPassword, fillPasswords } from './passwordPolicy';
+import { groupByOrgUnit, buildCredentialSlipsDocument, slipFileName } from './credentialSlips';
+import { findInactiveUsers, countByValues, summarizeInactive, matchesChartFilter, LOGIN_RECENCY_BUCKETS, NEVER_LOGGED_IN } from './userStats';
 
 // Register Chart.js components
-ChartJS.register(ArcElement, ChartTooltip, Legend);
+ChartJS.register(ArcElement, BarElement, CategoryScale, LinearScale, ChartTooltip, Legend);
 
 // Theme Context
 const ThemeContext = createContext();
@@ -67,6 +122,10 @@ const SAMPLE_USERS = [
     dataViewOrganisationUnits: [{ id: "wRQIw3NMW29" }],
     teiSearchOrganisationUnits: [{ id: "wRQIw3NMW29" }],
     userGroups: [{ id: "U8WuGyxfFFp" }],
+    email: "pvt.royal@example.org",
+    phoneNumber: "+2348000000001",
+    accountExpiry: "2027-12-31",
+    disabled: false,
   },
   {
     firstName: "PVT",
@@ -78,9 +137,53 @@ const SAMPLE_USERS = [
     dataViewOrganisationUnits: [{ id: "AVEyJypVCjJ" }],
     teiSearchOrganisationUnits: [{ id: "AVEyJypVCjJ" }],
     userGroups: [{ id: "U8WuGyxfFFp" }],
+    email: "pvt.dominion@example.org",
+    whatsApp: "+2348000000002",
+    disabled: false,
   },
 ];
 
+// CSV and Excel template layout
+const TEMPLATE_HEADERS = USER_FIELDS;
+
+const TEMPLATE_ROW = [
+  'JSS',
+  'Com',
+  '11010051',
+  'Abakaliki123@',
+  '[{"id": "KBkjSGFKSKI"},{"id": "oO6BBApzmHZ"}]',
+  '[{"id": "wMcSLrAHchs"}]',
+  '[{"id": "wMcSLrAHchs"}]',
+  '[{"id": "wMcSLrAHchs"}]',
+  '[{"id": "Ca67o1mgiPn"}]',
+  'jss.com@example.org',
+  '+2348000000000',
+  '',
+  '',
+  '',
+  '2027-12-31',
+  'false',
+  '',
+  '',
+  '',
+];
+
+// Inactivity report limits: org units shown in the chart and accounts listed in the table
+const INACTIVITY_CHART_BARS = 15;
+const INACTIVITY_LIST_LIMIT = 200;
+
+// Export dashboard: bars per chart and the colours for pie segments
+const DASHBOARD_CHART_BARS = 15;
+const DASHBOARD_COLORS = ['#34D399', '#60A5FA', '#FBBF24', '#F97316', '#EF4444', '#9CA3AF'];
+
+// localStorage key of the role users are downgraded to right before a hard delete
+const DELETE_ROLE_KEY = 'deleteDowngradeRole';
+
+// IndexedDB keys of the import job checkpoint; only one import runs at a time.
+// The rows are written once per job without passwords, the progress after every batch.
+const IMPORT_CHECKPOINT_KEY = 'current';
+const IMPORT_ROWS_KEY = 'currentRows';
+
 // Reusable Components
 const ThemedButton = ({
   children,
@@ -147,6 +250,254 @@ const ProgressBar = ({ progress }) => {
   );
 };
 
+// One download per org unit, each clicked separately since browsers block a burst of downloads
+const SlipList = ({ groups, onDownload, onClose }) => {
+  const { theme } = useTheme();
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span>Credential slips for {groups.length} org units; give each unit only its own file.</span>
+        <button onClick={onClose} className="underline">Close</button>
+      </div>
+      <ul>
+        {groups.map((group, index) => (
+          <li key={group.orgUnit} className={`flex items-center justify-between px-2 py-1 ${
+            index % 2 === 0
+              ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+              : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+          }`}>
+            <span>{group.orgUnit} ({group.entries.length})</span>
+            <ThemedButton onClick={() => onDownload(group)} variant="success" className="py-1">
+              <FiDownload className="mr-2" />
+              Download
+            </ThemedButton>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Field errors for one uploaded row, keyed by field; the grid shows them per cell
+const userFieldErrors = (user, passwordPolicy) => {
+  const errors = {};
+  if (!user.username) errors.username = 'Username is required';
+  if (!user.userRoles?.length) errors.userRoles = 'At least one user role is required';
+  if (!user.organisationUnits?.length) errors.organisationUnits = 'At least one organization unit is required';
+  if (user.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(user.email)) errors.email = 'Email address is not valid';
+  if (user.accountExpiry && Number.isNaN(Date.parse(user.accountExpiry))) errors.accountExpiry = 'Account expiry must be a date like 2027-12-31';
+  const passwordProblems = user.password ? checkPassword(user.password, user.username, passwordPolicy) : [];
+  if (passwordProblems.length) errors.password = `Password: ${passwordProblems.join(', ')}`;
+  return errors;
+};
+
+// Editable, virtualized grid over uploaded users
+const GRID_COLUMN_WIDTH = 170;
+const GRID_ACTIONS_WIDTH = 110;
+const GRID_ROW_HEIGHT = 44;
+
+const formatGridCell = (field, value) => {
+  if (field === 'attributeValues') return formatUserCell(field, value);
+  if (Array.isArray(value)) return value.map(ref => ref?.id ?? ref?.ref).join('; ');
+  return value === undefined || value === null ? '' : String(value);
+};
+
+const UserGrid = ({ users, validate, onEdit, onDelete, onDuplicate, disabled }) => {
+  const { theme } = useTheme();
+  const width = GRID_ACTIONS_WIDTH + USER_FIELDS.length * GRID_COLUMN_WIDTH;
+
+  const rowRenderer = ({ index, key, style }) => {
+    const user = users[index];
+    const errors = validate(user);
+    return (
+      <div
+        key={key}
+        style={style}
+        className={`flex items-center ${
+          index % 2 === 0
+            ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+            : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+        }`}
+      >
+        <div className="flex items-center space-x-2 px-2" style={{ width: GRID_ACTIONS_WIDTH }}>
+          <span className="text-xs opacity-70 w-8">{index + 1}</span>
+          <button onClick={() => onDuplicate(index)} disabled={disabled} aria-label={`Duplicate row ${index + 1}`}>
+            <FiCopy />
+          </button>
+          <button onClick={() => onDelete(index)} disabled={disabled} className="text-red-500" aria-label={`Delete row ${index + 1}`}>
+            <FiTrash2 />
+          </button>
+        </div>
+        {USER_FIELDS.map(field => {
+          const value = formatGridCell(field, user[field]);
+          return (
+            <div key={field} className="px-1" style={{ width: GRID_COLUMN_WIDTH }}>
+              <input
+                key={`${index}-${field}-${value}`}
+                type="text"
+                defaultValue={value}
+                disabled={disabled}
+                onBlur={(e) => e.target.value !== String(value) && onEdit(index, field, e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                title={errors[field] || ''}
+                aria-label={`${field} for row ${index + 1}`}
+                aria-invalid={Boolean(errors[field])}
+                className={`w-full p-1 text-sm rounded border ${
+                  errors[field]
+                    ? 'border-red-500'
+                    : theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                } ${theme === 'dark' ? 'bg-gray-900' : 'bg-white'}`}
+              />
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <div style={{ width }}>
+        <div className={`flex text-sm font-medium py-2 ${theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}`}>
+          <div className="px-2" style={{ width: GRID_ACTIONS_WIDTH }}>Row</div>
+          {USER_FIELDS.map(field => (
+            <div key={field} className="px-2" style={{ width: GRID_COLUMN_WIDTH }}>{field}</div>
+          ))}
+        </div>
+        <List
+          width={width}
+          height={Math.min(440, users.length * GRID_ROW_HEIGHT)}
+          rowCount={users.length}
+          rowHeight={GRID_ROW_HEIGHT}
+          rowRenderer={rowRenderer}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Virtualized export table with sortable, resizable and reorderable columns
+const TABLE_COLUMN_WIDTH = 180;
+const TABLE_MIN_COLUMN_WIDTH = 80;
+const TABLE_SELECT_WIDTH = 48;
+const TABLE_ROW_HEIGHT = 40;
+const TABLE_HEIGHT = 520;
+
+const UserTable = ({ users, columns, labels, widths, sorts, selectedIds, allSelected, onSort, onResize, onReorder, onToggle, onToggleAll }) => {
+  const { theme } = useTheme();
+  const [dragged, setDragged] = useState(null);
+  const widthOf = (column) => widths[column] || TABLE_COLUMN_WIDTH;
+  const width = TABLE_SELECT_WIDTH + columns.reduce((sum, column) => sum + widthOf(column), 0);
+
+  const startResize = (event, column) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const startX = event.clientX;
+    const startWidth = widthOf(column);
+    const handleMove = (e) => onResize(column, Math.max(TABLE_MIN_COLUMN_WIDTH, startWidth + e.clientX - startX));
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const rowRenderer = ({ index, key, style }) => {
+    const user = users[index];
+    return (
+      <div
+        key={key}
+        style={style}
+        className={`flex items-center text-sm ${
+          index % 2 === 0
+            ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+            : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+        }`}
+      >
+        <div className="px-3" style={{ width: TABLE_SELECT_WIDTH }}>
+          <input
+            type="checkbox"
+            checked={selectedIds.has(user.id)}
+            onChange={() => onToggle(user.id)}
+            className="rounded"
+            aria-label={`Select ${user.username}`}
+          />
+        </div>
+        {columns.map(column => (
+          <div key={column} className="px-2 truncate" style={{ width: widthOf(column) }} title={String(user[column] ?? '')}>
+            {String(user[column] ?? '')}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <div style={{ width }}>
+        <div className={`flex text-sm font-medium select-none ${theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}`}>
+          <div className="px-3 py-2" style={{ width: TABLE_SELECT_WIDTH }}>
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={onToggleAll}
+              className="rounded"
+              aria-label="Select all matching users"
+            />
+          </div>
+          {columns.map(column => {
+            const sortIndex = sorts.findIndex(sort => sort.key === column);
+            return (
+              <div
+                key={column}
+                draggable
+                onDragStart={() => setDragged(column)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={() => {
+                  if (dragged) onReorder(dragged, column);
+                  setDragged(null);
+                }}
+                onDragEnd={() => setDragged(null)}
+                onClick={(e) => onSort(column, e.shiftKey)}
+                className={`relative px-2 py-2 truncate cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-800 ${
+                  dragged === column ? 'opacity-50' : ''
+                }`}
+                style={{ width: widthOf(column) }}
+              >
+                {labels[column] || column}
+                {sortIndex >= 0 && (
+                  <span>
+                    {sorts[sortIndex].direction === 'asc' ? ' ↑' : ' ↓'}
+                    {sorts.length > 1 && <sup>{sortIndex + 1}</sup>}
+                  </span>
+                )}
+                <span
+                  onMouseDown={(e) => startResize(e, column)}
+                  onClick={(e) => e.stopPropagation()}
+                  className="absolute right-0 top-0 h-full w-2 cursor-col-resize"
+                  aria-hidden="true"
+                />
+              </div>
+            );
+          })}
+        </div>
+        {users.length === 0 ? (
+          <p className="p-4 text-center text-gray-500 dark:text-gray-400">No users match your filters</p>
+        ) : (
+          <List
+            width={width}
+            height={Math.min(TABLE_HEIGHT, users.length * TABLE_ROW_HEIGHT)}
+            rowCount={users.length}
+            rowHeight={TABLE_ROW_HEIGHT}
+            rowRenderer={rowRenderer}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
 // Main App Component
 function App() {
   const { theme, toggleTheme } = useTheme();
@@ -159,11 +510,10 @@ function App() {
   const [progress, setProgress] = useState(0);
   const [exportProgress, setExportProgress] = useState(0);
   const [exportedUsers, setExportedUsers] = useState([]);
-  const [selectedUsers, setSelectedUsers] = useState([]);
+  const [selectedIds, setSelectedIds] = useState(new Set());
   const [importStats, setImportStats] = useState({ success: 0, failed: 0 });
   const [usernameFilter, setUsernameFilter] = useState('');
   const [orgUnitFilter, setOrgUnitFilter] = useState('');
-  const [currentPage, setCurrentPage] = useState(1);
   const [activeTab, setActiveTab] = useState('import');
   const [batchSize, setBatchSize] = useState(2);
   const [connectionStatus, setConnectionStatus] = useState('checking...');
@@ -173,15 +523,65 @@ function App() {
   const [showHelp, setShowHelp] = useState(false);
   const [fileName, setFileName] = useState('');
   const [isFilterOpen, setIsFilterOpen] = useState(false);
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+  const [sorts, setSorts] = useState([]);
+  const [bulkExpiry, setBulkExpiry] = useState('');
+  const [deleteDowngradeRole, setDeleteDowngradeRole] = useState(() => localStorage.getItem(DELETE_ROLE_KEY) || '');
+  const [columnWidths, setColumnWidths] = useState({});
+  const [deleteConcurrency, setDeleteConcurrency] = useState(2);
+  const [deletionStatus, setDeletionStatus] = useState(null);
+  const [deletionFailures, setDeletionFailures] = useState([]);
+  const [pendingDeletion, setPendingDeletion] = useState([]);
+  const [userListFile, setUserListFile] = useState('');
+  const [userListResolution, setUserListResolution] = useState(null);
+  const [userListAction, setUserListAction] = useState('disable');
+  const [userListRun, setUserListRun] = useState(null);
   const [passwordUsers, setPasswordUsers] = useState([]);
+  const [passwordFileName, setPasswordFileName] = useState('');
+  const [passwordRoleMode, setPasswordRoleMode] = useState('add');
+  const [passwordPolicy, setPasswordPolicy] = useState(DEFAULT_PASSWORD_POLICY);
+  const [passwordSlips, setPasswordSlips] = useState([]);
+  const [importSlipGroups, setImportSlipGroups] = useState(null);
+  const [passwordSlipGroups, setPasswordSlipGroups] = useState(null);
   const [processingPasswords, setProcessingPasswords] = useState(false);
+  const [dryRunResults, setDryRunResults] = useState([]);
+  const [importEngine, setImportEngine] = useState('users');
+  const [importStrategy, setImportStrategy] = useState('CREATE_AND_UPDATE');
+  const [atomicMode, setAtomicMode] = useState('NONE');
+  const [metadataDryRun, setMetadataDryRun] = useState(false);
+  const [referenceIssues, setReferenceIssues] = useState(null);
+  const [resolutionProblems, setResolutionProblems] = useState([]);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [columnMapping, setColumnMapping] = useState({});
+  const [mappingDefaults, setMappingDefaults] = useState({});
+  const [savedMappings, setSavedMappings] = useState(loadSavedMappings);
+  const [pendingCheckpoint, setPendingCheckpoint] = useState(null);
+  const [throughput, setThroughput] = useState(null);
+  const [parseProgress, setParseProgress] = useState(null);
+  const [assignmentStrategies, setAssignmentStrategies] = useState(DEFAULT_ASSIGNMENT_STRATEGIES);
+  const [journal, setJournal] = useState([]);
+  const [exportCriteria, setExportCriteria] = useState(EMPTY_EXPORT_CRITERIA);
+  const [exportCount, setExportCount] = useState(null);
+  const [exportOptions, setExportOptions] = useState({ roles: [], groups: [] });
+  const [orgUnitLevels, setOrgUnitLevels] = useState([]);
+  const [levelFilters, setLevelFilters] = useState({});
+  const [inactivityDays, setInactivityDays] = useState(90);
+  const [includeNeverLoggedIn, setIncludeNeverLoggedIn] = useState(true);
+  const [inactivityBreakdown, setInactivityBreakdown] = useState('');
+  const [inactiveSelection, setInactiveSelection] = useState(new Set());
+  const [chartFilter, setChartFilter] = useState(null);
+  const [advancedFilter, setAdvancedFilter] = useState(() => filterFromQuery(window.location.search));
+  const [filterSets, setFilterSets] = useState(loadFilterSets);
+  const [dashboardLevel, setDashboardLevel] = useState('');
+  const [inactivityExpiry, setInactivityExpiry] = useState(() => new Date().toISOString().slice(0, 10));
 
   const shouldStop = useRef(false);
   const logEndRef = useRef(null);
   const prevStatus = useRef('checking...');
+  const requestStats = useRef(emptyRequestStats());
+  const cancelParse = useRef(null);
+  const exportOptionsRequested = useRef(false);
+  const passwordPolicyRequested = useRef(false);
 
-  const usersPerPage = 10;
   const availableColumns = [
     { id: 'id', label: 'ID' },
     { id: 'name', label: 'Name' },
@@ -189,8 +589,20 @@ function App() {
     { id: 'userGroups', label: 'Groups' },
     { id: 'userRoles', label: 'Roles' },
     { id: 'lastLogin', label: 'Last Login' },
+    { id: 'created', label: 'Created' },
     { id: 'OrgunitPath', label: 'Orgunit Path' },
     { id: 'OrgunitUID', label: 'Orgunit UID' },
+    { id: 'email', label: 'Email' },
+    { id: 'phoneNumber', label: 'Phone Number' },
+    { id: 'whatsApp', label: 'WhatsApp' },
+    { id: 'openId', label: 'OpenID' },
+    { id: 'ldapId', label: 'LDAP ID' },
+    { id: 'accountExpiry', label: 'Account Expiry' },
+    { id: 'disabled', label: 'Disabled' },
+    { id: 'catDimensionConstraints', label: 'Category Constraints' },
+    { id: 'cogsDimensionConstraints', label: 'COGS Constraints' },
+    { id: 'attributeValues', label: 'Attribute Values' },
+    ...buildLevelColumns(orgUnitLevels),
   ];
 
   // Logging utility
@@ -202,24 +614,37 @@ function App() {
     });
   };
 
-  // API request with retries
+  // API request with retries for timeouts, throttling and server errors only.
+  // Every attempt is recorded in requestStats so imports can adapt their concurrency.
   const apiRequest = useCallback(async (config, attempt = 1) => {
     const maxRetries = 3;
     const baseDelay = 1000;
+    const startedAt = Date.now();
+    const stats = requestStats.current;
 
     try {
       const response = await axios({
         ...config,
         url: config.url.startsWith('http') ? config.url : `${BASE_URL}${config.url}`,
-        timeout: 30000,
+        timeout: config.timeout || 30000,
         headers: { ...HEADERS, ...config.headers },
       });
+      stats.requests++;
+      stats.totalLatency += Date.now() - startedAt;
       return response;
     } catch (error) {
-      if (attempt >= maxRetries) throw error;
-
-      const retryDelay = baseDelay * Math.pow(2, attempt - 1);
-      appendLog(`⚠️ Attempt ${attempt} failed, retrying in ${retryDelay / 1000}s...`, 'warning');
+      const status = error.response?.status;
+      stats.requests++;
+      stats.totalLatency += Date.now() - startedAt;
+      if (isRetryable(error)) stats.failures++;
+      if (status === 429) stats.rateLimited++;
+      if (attempt >= maxRetries || !isRetryable(error)) throw error;
+
+      const retryDelay = getRetryDelay(error, attempt, baseDelay);
+      appendLog(
+        `⚠️ Attempt ${attempt} failed${status ? ` (HTTP ${status})` : ''}, retrying in ${retryDelay / 1000}s...`,
+        'warning'
+      );
       await new Promise(resolve => setTimeout(resolve, retryDelay));
       return apiRequest(config, attempt + 1);
     }
@@ -254,64 +679,216 @@ function App() {
     return () => clearInterval(interval);
   }, [apiRequest, connectionStatus]);
 
+  // Look for an import interrupted by a reload or crash
+  useEffect(() => {
+    dbGet(STORES.importJobs, IMPORT_CHECKPOINT_KEY)
+      .then(job => job?.failedRows && setPendingCheckpoint(job))
+      .catch(error => console.error('Could not read import checkpoint:', error));
+    dbGetAll(STORES.journal)
+      .then(entries => setJournal(sortJournal(entries || [])))
+      .catch(error => console.error('Could not read operation journal:', error));
+  }, []);
+
+  // Roles and groups offered as export criteria, loaded the first time the Export tab is opened
+  useEffect(() => {
+    if (activeTab !== 'export' || connectionStatus !== 'connected' || exportOptionsRequested.current) return;
+    exportOptionsRequested.current = true;
+    const fields = 'fields=id,displayName&order=displayName:asc&paging=false';
+    Promise.all([
+      apiRequest({ method: 'get', url: `${BASE_URL}/userRoles?${fields}` }),
+      apiRequest({ method: 'get', url: `${BASE_URL}/userGroups?${fields}` }),
+    ])
+      .then(([roles, groups]) => setExportOptions({ roles: roles.data.userRoles || [], groups: groups.data.userGroups || [] }))
+      .catch(error => console.error('Could not load roles and groups for export filters:', error));
+  }, [activeTab, connectionStatus, apiRequest]);
+
+  // Only the length limits are configurable; the character rules are built into DHIS2
+  useEffect(() => {
+    if (connectionStatus !== 'connected' || passwordPolicyRequested.current) return;
+    passwordPolicyRequested.current = true;
+    apiRequest({ method: 'get', url: `${BASE_URL}/systemSettings?${PASSWORD_SETTING_KEYS.map(key => `key=${key}`).join('&')}` })
+      .then(res => setPasswordPolicy(policyFromSettings(res.data)))
+      .catch(error => console.error('Could not load the password policy:', error));
+  }, [connectionStatus, apiRequest]);
+
   // Auto-scroll log to bottom
   useEffect(() => {
     logEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [log]);
 
+  // Slip lists hold passwords, so they go as soon as the rows they were made from change
+  useEffect(() => setImportSlipGroups(null), [users]);
+  useEffect(() => setPasswordSlipGroups(null), [passwordSlips]);
+
   // Keyboard shortcut for import
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if (e.ctrlKey && e.key === 'i' && !processing && users.length > 0 && connectionStatus === 'connected') {
+      if (e.ctrlKey && e.key === 'i' && !processing && parseProgress === null && users.length > 0 && connectionStatus === 'connected') {
         confirmImport();
       }
     };
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [processing, users.length, connectionStatus]);
+  }, [processing, parseProgress, users.length, connectionStatus]);
 
   // File processing
+  // File processing. CSV and JSON files are streamed from a worker; Excel workbooks are read whole.
   const processFile = (file) => {
     if (!file) return;
 
-    const validTypes = ['.json', '.csv'];
-    const maxSize = 10 * 1024 * 1024;
+    const validTypes = ['.json', '.csv', '.xlsx'];
     const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    const maxSizeMB = extension === '.xlsx' ? 10 : 100;
 
     if (!validTypes.includes(extension)) {
-      appendLog(`❌ Unsupported file type. Please upload a .json or .csv file.`, 'error');
+      appendLog(`❌ Unsupported file type. Please upload a .json, .csv or .xlsx file.`, 'error');
       return;
     }
-    if (file.size > maxSize) {
-      appendLog(`❌ File size exceeds 10MB limit.`, 'error');
+    if (file.size > maxSizeMB * 1024 * 1024) {
+      appendLog(`❌ File size exceeds ${maxSizeMB}MB limit.`, 'error');
       return;
     }
 
+    cancelParse.current?.();
     setFileName(file.name);
+    setDryRunResults([]);
+    setReferenceIssues(null);
+    setResolutionProblems([]);
+    setPendingImport(null);
+
+    if (extension === '.xlsx') {
+      readWorkbook(file);
+    } else {
+      streamUserFile(file, extension);
+    }
+  };
+
+  const readWorkbook = (file) => {
     const reader = new FileReader();
     reader.onloadstart = () => appendLog('⏳ Loading user file...', 'info');
     reader.onload = (event) => {
       try {
-        const content = event.target.result;
-        let users;
-        if (extension === '.csv') {
-          users = convertCSVtoJSON(content);
-          if (users) {
-            setUsers(users);
-            appendLog(`✅ Loaded and converted ${users.length} users from CSV`, 'success');
-          }
+        const { headers, rows } = parseCSV(xlsxToCSV(event.target.result));
+        if (needsMapping(headers)) {
+          startColumnMapping(headers, rows, 'Excel');
         } else {
-          users = JSON.parse(content);
-          if (!Array.isArray(users)) throw new Error('File should contain an array of users');
-          setUsers(users);
-          appendLog(`✅ Loaded ${users.length} users from JSON`, 'success');
+          loadConvertedUsers(rows.map(rowToUser), 'Excel');
         }
       } catch (error) {
         appendLog(`❌ Error parsing file: ${error.message}`, 'error');
       }
     };
     reader.onerror = () => appendLog('❌ Failed to read file', 'error');
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
+  };
+
+  // Rows are appended to `users` chunk by chunk so the preview and validation fill in while parsing
+  const streamUserFile = (file, extension) => {
+    const isCSV = extension === '.csv';
+    const source = isCSV ? 'CSV' : 'JSON';
+    const loadedUsers = [];
+    const rawRows = [];
+    let headers = [];
+    let mapColumns = null;
+    let invalidRows = 0;
+
+    setUsers([]);
+    setParseProgress(0);
+    appendLog(`⏳ Loading ${source} file (${(file.size / 1024 / 1024).toFixed(1)} MB)...`, 'info');
+
+    const finish = () => {
+      setParseProgress(null);
+      cancelParse.current = null;
+    };
+
+    // Neither handler fires after a cancel, so cancelling clears the parse state itself
+    const stop = (isCSV ? streamCSV : streamJSON)(file, {
+      onRows: (rows, fields, progress) => {
+        if (isCSV && mapColumns === null) {
+          headers = fields;
+          mapColumns = needsMapping(fields);
+        }
+        if (mapColumns) {
+          rows.forEach(row => rawRows.push(row));
+        } else {
+          const converted = isCSV ? rows.map(rowToUser) : rows;
+          invalidRows += converted.filter(user => validateUser(user)).length;
+          converted.forEach(user => loadedUsers.push(user));
+          setUsers(prev => prev.concat(converted));
+        }
+        setParseProgress(progress);
+      },
+      onComplete: () => {
+        finish();
+        if (mapColumns) {
+          startColumnMapping(headers, rawRows, source);
+          return;
+        }
+        appendLog(
+          `✅ Loaded ${isCSV ? 'and converted ' : ''}${loadedUsers.length} users from ${source}${invalidRows ? ` (${invalidRows} with validation errors)` : ''}`,
+          invalidRows ? 'warning' : 'success'
+        );
+        if (hasUnresolvedReferences(loadedUsers)) resolveReferenceNames(loadedUsers);
+      },
+      onError: (error) => {
+        finish();
+        setUsers([]);
+        appendLog(`❌ Error parsing file: ${error.message}`, 'error');
+      },
+    });
+    cancelParse.current = () => {
+      stop();
+      finish();
+    };
+  };
+
+  const loadConvertedUsers = (converted, source) => {
+    setUsers(converted);
+    appendLog(`✅ Loaded and converted ${converted.length} users from ${source}`, 'success');
+    if (hasUnresolvedReferences(converted)) resolveReferenceNames(converted);
+  };
+
+  // Column mapping for files whose headers don't match the template
+  const startColumnMapping = (headers, rows, source) => {
+    const saved = findSavedMapping(savedMappings, headers);
+    setUsers([]);
+    setPendingImport({ headers, rows, source });
+    setColumnMapping(saved ? { ...suggestMapping(headers), ...saved.mapping } : suggestMapping(headers));
+    setMappingDefaults(saved?.defaults || {});
+    appendLog(
+      saved
+        ? `🧭 Columns match saved mapping "${saved.name}". Review and apply it.`
+        : `🧭 ${headers.length} columns need to be mapped to DHIS2 user fields`,
+      'info'
+    );
+  };
+
+  const applyColumnMapping = () => {
+    try {
+      const converted = applyMapping(pendingImport.rows, columnMapping, mappingDefaults).map(rowToUser);
+      setPendingImport(null);
+      loadConvertedUsers(converted, `${pendingImport.source} (mapped columns)`);
+    } catch (error) {
+      appendLog(`❌ Error applying column mapping: ${error.message}`, 'error');
+    }
+  };
+
+  const saveColumnMapping = () => {
+    const name = window.prompt('Save this mapping as (e.g. partner name):')?.trim();
+    if (!name) return;
+    const entry = { name, headers: pendingImport.headers, mapping: columnMapping, defaults: mappingDefaults };
+    const next = [...savedMappings.filter(m => m.name !== name), entry];
+    setSavedMappings(next);
+    storeSavedMappings(next);
+    appendLog(`💾 Saved column mapping "${name}"`, 'success');
+  };
+
+  const loadSavedMapping = (name) => {
+    const saved = savedMappings.find(m => m.name === name);
+    if (!saved) return;
+    setColumnMapping(Object.fromEntries(pendingImport.headers.map(header => [header, saved.mapping[header] || ''])));
+    setMappingDefaults(saved.defaults || {});
+    appendLog(`🧭 Applied saved mapping "${name}"`, 'info');
   };
 
   const handleFileUpload = (e) => {
@@ -361,34 +938,26 @@ function App() {
   };
 
   const downloadSampleCSV = () => {
-    const headers = [
-      'firstName',
-      'surname',
-      'username',
-      'password',
-      'userRoles',
-      'organisationUnits',
-      'dataViewOrganisationUnits',
-      'teiSearchOrganisationUnits',
-      'userGroups',
-    ].join(',');
-
-    const sampleRow = [
-      'JSS',
-      'Com',
-      '11010051',
-      'Abakaliki123@',
-      '[{"id": "KBkjSGFKSKI"},{"id": "oO6BBApzmHZ"}]',
-      '[{"id": "wMcSLrAHchs"}]',
-      '[{"id": "wMcSLrAHchs"}]',
-      '[{"id": "wMcSLrAHchs"}]',
-      '[{"id": "Ca67o1mgiPn"}]',
-    ].map(field => `"${field}"`).join(',');
+    const headers = TEMPLATE_HEADERS.join(',');
+    const sampleRow = TEMPLATE_ROW.map(field => `"${field}"`).join(',');
 
     const csvContent = [headers, sampleRow].join('\n');
     downloadFile(csvContent, 'dhis2_users_template.csv', 'text/csv;charset=utf-8;');
   };
 
+  const downloadSampleXLSX = () => {
+    const columns = TEMPLATE_HEADERS.map(header => ({ id: header, label: header }));
+    const row = Object.fromEntries(TEMPLATE_HEADERS.map((header, i) => [header, TEMPLATE_ROW[i]]));
+    downloadFile(buildWorkbook([row], columns), 'dhis2_users_template.xlsx', XLSX_MIME_TYPE);
+  };
+
+  const downloadSampleNamesCSV = () => {
+    const headers = USER_FIELDS.join(',');
+    const sampleRow = ['JSS', 'Com', '11010051', 'Abakaliki123@', 'Data Entry; Teacher', 'wMcSLrAHchs', 'wMcSLrAHchs', 'wMcSLrAHchs', 'School Users', 'jss.com@example.org', '+2348000000000', '', '', '', '2027-12-31', 'false', '', '', '']
+      .map(field => `"${field}"`).join(',');
+    downloadFile([headers, sampleRow].join('\n'), 'dhis2_users_names_template.csv', 'text/csv;charset=utf-8;');
+  };
+
   const downloadSamplePasswordCsv = () => {
     const sampleData = `username,new_password,user_role_ids\n1090002,Obii123@333,"KBkjSGFKSKI,oO6BBApzmHZ"`;
     downloadFile(sampleData, 'Password_Update_Sample.csv', 'text/csv;charset=utf-8;');
@@ -415,11 +984,214 @@ function App() {
   };
 
   // User validation
-  const validateUser = (user) => {
-    if (!user.username) return 'Username is required';
-    if (!user.userRoles?.length) return 'At least one user role is required';
-    if (!user.organisationUnits?.length) return 'At least one organization unit is required';
-    return null;
+  const validateUserFields = (user) => userFieldErrors(user, passwordPolicy);
+
+  const validateUser = (user) => Object.values(validateUserFields(user))[0] || null;
+
+  // Every log line re-renders App, so the loaded rows are only scanned when they or the policy
+  // change, and not at all while a file is still streaming in chunk by chunk
+  const parsing = parseProgress !== null;
+  const { invalidCount, hasUnresolved } = useMemo(() => (parsing ? { invalidCount: 0, hasUnresolved: false } : {
+    invalidCount: users.filter(user => Object.keys(userFieldErrors(user, passwordPolicy)).length).length,
+    hasUnresolved: hasUnresolvedReferences(users),
+  }), [users, passwordPolicy, parsing]);
+
+  // Checked once per row and policy change rather than on every render
+  const passwordProblems = useMemo(
+    () => passwordUsers.map(user => passwordRowProblems(user, passwordPolicy)),
+    [passwordUsers, passwordPolicy]
+  );
+  const hasValidPasswordRows = passwordProblems.some(problems => !problems.length);
+
+  // Generated passwords: `all` replaces every password, otherwise only blank ones are filled
+  const generateImportPasswords = (all) => {
+    if (all && !window.confirm(`Replace the passwords of all ${users.length} users with generated ones?`)) return;
+    try {
+      const { rows, count } = fillPasswords(users, 'password', { all }, passwordPolicy);
+      editUsers(rows);
+      appendLog(`🔑 Generated ${count} passwords`, 'success');
+    } catch (error) {
+      appendLog(`❌ Could not generate passwords: ${error.message}`, 'error');
+    }
+  };
+
+  const generateCsvPasswords = (all) => {
+    if (all && !window.confirm(`Replace the passwords of all ${passwordUsers.length} rows with generated ones?`)) return;
+    try {
+      const { rows, count } = fillPasswords(passwordUsers, 'newPassword', { all }, passwordPolicy);
+      setPasswordUsers(rows.map(row => ({ ...row, errors: passwordRowErrors(row) })));
+      appendLog(`🔑 Generated ${count} passwords`, 'success');
+    } catch (error) {
+      appendLog(`❌ Could not generate passwords: ${error.message}`, 'error');
+    }
+  };
+
+  // entries are [{ name, username, password, orgUnit }] with orgUnit as a UID, name or code;
+  // resolves to the slip groups for the slip list, or null when there is nothing to print
+  const prepareCredentialSlips = async (entries) => {
+    if (entries.length === 0) {
+      appendLog('⚠️ No passwords to put on credential slips', 'warning');
+      return null;
+    }
+    const ids = [...new Set(entries.map(entry => entry.orgUnit).filter(ou => UID_PATTERN.test(ou)))];
+    const names = {};
+    try {
+      for (let i = 0; i < ids.length; i += 100) {
+        const res = await apiRequest({
+          method: 'get',
+          url: `${BASE_URL}/organisationUnits?filter=id:in:[${ids.slice(i, i + 100).join(',')}]&fields=id,name&paging=false`,
+        });
+        (res.data.organisationUnits || []).forEach(ou => { names[ou.id] = ou.name; });
+      }
+    } catch (error) {
+      appendLog(`⚠️ Org unit names could not be loaded, slips are named by UID: ${error.message}`, 'warning');
+    }
+
+    const groups = groupByOrgUnit(entries.map(entry => ({ ...entry, orgUnit: names[entry.orgUnit] || entry.orgUnit })));
+    appendLog(`🧾 Credential slips ready for ${entries.length} users in ${groups.length} org units`, 'success');
+    return groups;
+  };
+
+  const downloadSlipFile = (group) => {
+    const serverUrl = BASE_URL.replace(/\/api\/?$/, '');
+    downloadFile(buildCredentialSlipsDocument(group, serverUrl), slipFileName(group.orgUnit), 'text/html;charset=utf-8;');
+  };
+
+  const prepareImportSlips = async () => setImportSlipGroups(await prepareCredentialSlips(users.filter(user => user.password).map(user => {
+    const ou = user.organisationUnits?.[0];
+    return {
+      name: `${user.firstName || ''} ${user.surname || ''}`.trim(),
+      username: user.username,
+      password: user.password,
+      orgUnit: ou?.id ?? ou?.ref ?? '',
+    };
+  })));
+
+  // Preview grid editing. Any change makes earlier dry run results stale.
+  const editUsers = (updater) => {
+    setUsers(updater);
+    setDryRunResults([]);
+  };
+
+  const editUserCell = (index, field, value) => {
+    // Cells are parsed up front so a malformed value is reported once and left unchanged,
+    // instead of throwing inside the state updater
+    if (value !== '') {
+      try {
+        parseUserCell(field, value);
+      } catch (error) {
+        appendLog(`❌ ${error.message}`, 'error');
+        return;
+      }
+    }
+    editUsers(prev => prev.map((user, i) => {
+      if (i !== index) return user;
+      if (ATTRIBUTE_FIELDS.includes(field) && value === '') {
+        const { [field]: cleared, ...rest } = user;
+        return rest;
+      }
+      if (REFERENCE_FIELDS[field]) {
+        return { ...user, [field]: parseEditedReferenceCell(value, user[field]) };
+      }
+      return { ...user, [field]: parseUserCell(field, value) };
+    }));
+  };
+
+  const addUserRow = () => {
+    editUsers(prev => [...prev, rowToUser({})]);
+  };
+
+  const deleteUserRow = (index) => {
+    editUsers(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const duplicateUserRow = (index) => {
+    editUsers(prev => [...prev.slice(0, index + 1), { ...prev[index] }, ...prev.slice(index + 1)]);
+  };
+
+  const downloadCorrectedUsers = () => {
+    const base = fileName ? fileName.replace(/\.[^.]+$/, '') : 'users';
+    downloadFile(convertJSONtoCSV(users), `${base}_corrected.csv`, 'text/csv;charset=utf-8;');
+  };
+
+  // Reference validation: resolve every role, org unit and group UID in bulk
+  const fetchKnownIds = async (endpoint, ids) => {
+    const known = new Set();
+    const chunkSize = 100;
+    for (let i = 0; i < ids.length; i += chunkSize) {
+      const chunk = ids.slice(i, i + chunkSize);
+      const res = await apiRequest({
+        method: 'get',
+        url: `${BASE_URL}/${endpoint}?filter=id:in:[${chunk.join(',')}]&fields=id&paging=false`,
+      });
+      (res.data[endpoint] || []).forEach(item => known.add(item.id));
+    }
+    return known;
+  };
+
+  const validateReferences = async (list = users) => {
+    appendLog(`🔎 Validating references for ${list.length} users...`, 'info');
+    try {
+      const references = collectReferences(list);
+      const knownIds = {};
+      for (const [endpoint, ids] of Object.entries(idsByEndpoint(references))) {
+        knownIds[endpoint] = await fetchKnownIds(endpoint, ids);
+      }
+
+      const issues = [...findDuplicateUsernames(list), ...findReferenceIssues(references, knownIds)];
+      setReferenceIssues(issues);
+      if (issues.length) {
+        appendLog(`⚠️ Found ${issues.length} reference problems. See the validation report.`, 'warning');
+      } else {
+        appendLog('✅ All usernames and references are valid', 'success');
+      }
+      return issues;
+    } catch (error) {
+      appendLog(`❌ Reference validation failed: ${error.response?.data?.message || error.message}`, 'error');
+      return null;
+    }
+  };
+
+  const runReferenceValidation = async () => {
+    setProcessing(true);
+    await validateReferences();
+    setProcessing(false);
+  };
+
+  // Name resolution: turn role, org unit and group names or codes into UIDs
+  const fetchCandidates = async (endpoint, values) => {
+    const candidates = new Map();
+    const add = (res) => (res.data[endpoint] || []).forEach(candidate => candidates.set(candidate.id, candidate));
+
+    for (const query of candidateListQueries(endpoint, values)) {
+      add(await apiRequest({ method: 'get', url: `${BASE_URL}/${query}` }));
+    }
+    for (const value of valuesNeedingLookup(values, [...candidates.values()])) {
+      add(await apiRequest({ method: 'get', url: `${BASE_URL}/${candidateLookupQuery(endpoint, value)}` }));
+    }
+    return [...candidates.values()];
+  };
+
+  const resolveReferenceNames = async (list = users) => {
+    appendLog('🔤 Resolving role, org unit and group names...', 'info');
+    try {
+      const resolutions = {};
+      for (const [endpoint, values] of Object.entries(collectUnresolved(list))) {
+        const candidates = await fetchCandidates(endpoint, values);
+        resolutions[endpoint] = Object.fromEntries(values.map(value => [value, matchReference(value, candidates)]));
+      }
+
+      const { users: resolvedUsers, problems } = applyResolution(list, resolutions);
+      setUsers(resolvedUsers);
+      setResolutionProblems(problems);
+      if (problems.length) {
+        appendLog(`⚠️ ${problems.length} names could not be resolved. See the resolution report.`, 'warning');
+      } else {
+        appendLog('✅ All names resolved to UIDs', 'success');
+      }
+    } catch (error) {
+      appendLog(`❌ Name resolution failed: ${error.response?.data?.message || error.message}`, 'error');
+    }
   };
 
   // User management functions
@@ -436,17 +1208,111 @@ function App() {
     }
   };
 
-  const updateUser = async (user, id) => {
+  // Resolves many usernames with a single request, returning a username -> id map
+  const resolveUserIds = async (usernames) => {
+    const res = await apiRequest({
+      method: 'get',
+      url: `${BASE_URL}/users?filter=username:in:[${usernames.join(',')}]&fields=id,username&paging=false`,
+    });
+    return Object.fromEntries((res.data.users || []).map(u => [String(u.username), u.id]));
+  };
+
+  // Operation journal: every mutating request stores the user as it was before the change
+  const snapshotUser = async (id) => {
+    const res = await apiRequest({ method: 'get', url: `${BASE_URL}/users/${id}` });
+    return res.data;
+  };
+
+  const recordJournalEntries = async (operation, snapshots) => {
+    if (!snapshots.length) return;
+    const entries = snapshots.map(snapshot => createJournalEntry(operation, snapshot));
+    setJournal(prev => sortJournal([...entries, ...prev]));
     try {
+      await Promise.all(entries.map(entry => dbPut(STORES.journal, entry.id, entry)));
+    } catch (error) {
+      appendLog(`⚠️ Could not save journal entry: ${error.message}`, 'warning');
+    }
+  };
+
+  const undoJournalEntry = async (entry) => {
+    let password;
+    if (entry.operation === 'delete') {
+      password = window.prompt(
+        `Recreate ${entry.username} with UID ${entry.userId}? DHIS2 never returns passwords, so enter a new password for this user:`
+      );
+      if (!password) return;
+    } else if (!window.confirm(
+      `Restore ${entry.username} to how it was on ${new Date(entry.timestamp).toLocaleString()}?` +
+      (entry.operation === 'password' ? ' The previous password itself cannot be restored.' : '')
+    )) {
+      return;
+    }
+
+    try {
+      const payload = buildRestorePayload(entry, password);
+      if (entry.operation === 'delete') {
+        await apiRequest({ method: 'post', url: `${BASE_URL}/users`, data: payload });
+      } else {
+        // The undo is itself journaled, so it can be reverted too
+        const snapshot = await snapshotUser(entry.userId);
+        await apiRequest({ method: 'put', url: `${BASE_URL}/users/${entry.userId}`, data: payload });
+        await recordJournalEntries('update', [snapshot]);
+      }
+
+      const undone = { ...entry, undoneAt: new Date().toISOString() };
+      setJournal(prev => prev.map(e => (e.id === entry.id ? undone : e)));
+      await dbPut(STORES.journal, entry.id, undone).catch(error => console.error('Could not update journal entry:', error));
+      appendLog(`↩️ Restored user: ${entry.username}`, 'success');
+    } catch (error) {
+      appendLog(
+        `❌ Could not undo ${JOURNAL_OPERATIONS[entry.operation].toLowerCase()} of ${entry.username}: ${error.response?.data?.message || error.message}`,
+        'error'
+      );
+    }
+  };
+
+  const exportJournal = () => {
+    downloadFile(buildJournalBackup(journal), `dhis2_user_journal_${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+  };
+
+  const clearJournal = async () => {
+    if (!window.confirm(`Clear all ${journal.length} journal entries? Export a backup first if you may need to undo them.`)) return;
+    setJournal([]);
+    try {
+      await dbClear(STORES.journal);
+    } catch (error) {
+      console.error('Could not clear operation journal:', error);
+    }
+  };
+
+  // Changes account fields on the full user object, journaled like every other write.
+  // The snapshot is taken first but only journaled once the write went through.
+  const updateUserAccount = async (userId, username, changes) => {
+    try {
+      const snapshot = await snapshotUser(userId);
+      await apiRequest({ method: 'put', url: `${BASE_URL}/users/${userId}`, data: { ...snapshot, ...changes } });
+      await recordJournalEntries('update', [snapshot]);
+      return true;
+    } catch (error) {
+      appendLog(`❌ Could not update ${username}: ${error.response?.data?.message || error.message}`, 'error');
+      return false;
+    }
+  };
+
+  // Merge and remove strategies are computed against the user's current assignments
+  const updateUser = async (user, id, strategies = assignmentStrategies) => {
+    try {
+      const snapshot = await snapshotUser(id);
+      const existing = usesReplaceOnly(strategies) ? null : snapshot;
+      // PUT replaces the whole user, so the row goes on top of the stored object
+      // and anything the row leaves out keeps its server value
       const payload = {
+        ...snapshot,
         firstName: user.firstName,
         surname: user.surname,
         username: user.username,
-        userRoles: user.userRoles.map(role => ({ id: role.id })),
-        organisationUnits: user.organisationUnits.map(ou => ({ id: ou.id })),
-        dataViewOrganisationUnits: user.dataViewOrganisationUnits.map(ou => ({ id: ou.id })),
-        teiSearchOrganisationUnits: user.teiSearchOrganisationUnits.map(ou => ({ id: ou.id })),
-        userGroups: user.userGroups.map(group => ({ id: group.id })),
+        ...Object.fromEntries(ATTRIBUTE_FIELDS.filter(field => user[field] !== undefined).map(field => [field, user[field]])),
+        ...resolveAssignments(user, existing, strategies),
       };
 
       await apiRequest({
@@ -454,8 +1320,10 @@ function App() {
         url: `${BASE_URL}/users/${id}`,
         data: payload,
       });
-      
-      appendLog(`🔄 Updated user: ${user.username}`, 'success');
+      await recordJournalEntries('update', [snapshot]);
+
+      const changes = existing ? summarizeDiff({ collections: diffUser(user, existing, strategies).collections }) : [];
+      appendLog(`🔄 Updated user: ${user.username}${changes.length ? ` (${changes.join('; ')})` : ''}`, 'success');
       return true;
     } catch (error) {
       appendLog(`❌ Error updating user ${user.username}: ${error.response?.data?.message || error.message}`, 'error');
@@ -463,7 +1331,7 @@ function App() {
     }
   };
 
-  const createUser = async (user) => {
+  const createUser = async (user, strategies = assignmentStrategies) => {
     try {
       await apiRequest({
         method: 'post',
@@ -477,7 +1345,7 @@ function App() {
         const id = await getUserId(user.username);
         if (id) {
           appendLog(`⚠️ Conflict: Updating user ${user.username}`, 'warning');
-          return await updateUser(user, id);
+          return await updateUser(user, id, strategies);
         } else {
           appendLog(`❌ Conflict and ID not found: ${user.username}`, 'error');
           return false;
@@ -488,28 +1356,35 @@ function App() {
     }
   };
 
+  // Resolves to { success, reason } so batch jobs can report why a deletion failed.
+  // The journal gets a delete entry only once the user is gone; if the downgrade went
+  // through but the delete did not, it gets an update entry so the downgrade can be undone.
   const deleteUser = async (userId, username) => {
+    let snapshot = null;
+    let downgraded = false;
     try {
       const userResponse = await apiRequest({
         method: 'GET',
         url: `/users/${userId}`,
       });
 
-      const user = userResponse.data;
-      user.disabled = true;
-      user.userRoles = [{ id: 'oO6BBApzmHZ' }];
-      user.organisationUnits = [];
-      user.dataViewOrganisationUnits = [];
-      user.teiSearchOrganisationUnits = [];
-      user.userGroups = [];
+      snapshot = userResponse.data;
+      const user = {
+        ...snapshot,
+        disabled: true,
+        organisationUnits: [],
+        dataViewOrganisationUnits: [],
+        teiSearchOrganisationUnits: [],
+        userGroups: [],
+      };
+      if (deleteDowngradeRole) user.userRoles = [{ id: deleteDowngradeRole }];
 
       await apiRequest({
         method: 'PUT',
         url: `/users/${userId}`,
         data: user,
       });
-
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      downgraded = true;
 
       await apiRequest({
         method: 'DELETE',
@@ -517,8 +1392,9 @@ function App() {
         timeout: 60000,
       });
 
+      await recordJournalEntries('delete', [snapshot]);
       appendLog(`🗑️ Deleted user: ${username}`, 'success');
-      return true;
+      return { success: true };
 
     } catch (error) {
       const isTimeout = error.code === 'ECONNABORTED';
@@ -532,51 +1408,247 @@ function App() {
             url: `/users/${userId}`,
           });
           appendLog(`🔁 User '${username}' still exists after timeout`, 'warning');
-          return false;
+          if (downgraded) await recordJournalEntries('update', [snapshot]);
+          return { success: false, reason: 'Timed out and the user still exists' };
         } catch (verifyError) {
           if (verifyError.response?.status === 404) {
+            if (snapshot) await recordJournalEntries('delete', [snapshot]);
             appendLog(`✅ Confirmed: User '${username}' was deleted`, 'success');
-            return true;
+            return { success: true };
           }
         }
       }
 
+      if (downgraded) await recordJournalEntries('update', [snapshot]);
       const message = error.response?.data?.message || error.message;
       appendLog(`❌ Failed to delete ${username}: ${message}`, 'error');
-      return false;
+      return { success: false, reason: message };
     }
   };
 
   const deleteSelectedUsers = async () => {
-    if (selectedUsers.length === 0) {
+    const targets = exportedUsers.filter(user => selectedIds.has(user.id));
+    if (targets.length === 0) {
       appendLog('⚠️ No users selected for deletion', 'warning');
       return;
     }
 
-    if (window.confirm(`Are you sure you want to delete ${selectedUsers.length} users?`)) {
+    if (pendingDeletion.length) {
+      appendLog('⚠️ Resume or discard the stopped deletion job first', 'warning');
+      return;
+    }
+    if (window.confirm(`Are you sure you want to delete ${targets.length} users?`)) {
+      await runDeletionJob(targets.map(({ id, username }) => ({ id, username })));
+    }
+  };
+
+  // Deletion job: `deleteConcurrency` users at a time, stoppable between batches. A stopped job
+  // keeps its remaining users until it is resumed or discarded; no other deletion starts meanwhile.
+  // Failures from earlier runs are carried over when a stopped job is resumed.
+  const runDeletionJob = async (targets, carriedFailures = []) => {
+    shouldStop.current = false;
+    setProcessing(true);
+    setExportProgress(0);
+    setDeletionStatus({ done: 0, total: targets.length, failed: 0 });
+    appendLog(`🚀 Deleting ${targets.length} users, ${deleteConcurrency} at a time`, 'info');
+
+    const deleted = new Set();
+    const failures = [];
+    let i = 0;
+    while (i < targets.length && !shouldStop.current) {
+      const batch = targets.slice(i, i + deleteConcurrency);
+      const results = await Promise.all(batch.map(user => deleteUser(user.id, user.username)));
+      results.forEach(({ success, reason }, index) => {
+        if (success) deleted.add(batch[index].id);
+        else failures.push({ ...batch[index], reason });
+      });
+      i += batch.length;
+      setDeletionStatus({ done: i, total: targets.length, failed: failures.length });
+      setExportProgress((i / targets.length) * 100);
+    }
+
+    setExportedUsers(prev => prev.filter(u => !deleted.has(u.id)));
+    setSelectedIds(prev => new Set([...prev].filter(id => !deleted.has(id))));
+    setDeletionFailures([...carriedFailures, ...failures]);
+    setPendingDeletion(targets.slice(i));
+    appendLog(
+      `🎉 Deletion ${i < targets.length ? 'stopped' : 'completed'}. Success: ${deleted.size}, Failed: ${failures.length}${i < targets.length ? `, Remaining: ${targets.length - i}` : ''}`,
+      failures.length ? 'warning' : 'success'
+    );
+    setProcessing(false);
+    setExportProgress(0);
+  };
+
+  const resumeDeletion = () => runDeletionJob(pendingDeletion, deletionFailures);
+
+  const discardPendingDeletion = () => {
+    if (window.confirm(`Discard the ${pendingDeletion.length} users the stopped deletion job has not reached?`)) {
+      setPendingDeletion([]);
+      appendLog('🧹 Discarded the stopped deletion job', 'success');
+    }
+  };
+
+  const retryFailedDeletions = () => {
+    if (pendingDeletion.length) {
+      appendLog('⚠️ Resume or discard the stopped deletion job first', 'warning');
+      return;
+    }
+    if (window.confirm(`Retry deleting ${deletionFailures.length} users?`)) {
+      runDeletionJob(deletionFailures.map(({ id, username }) => ({ id, username })));
+    }
+  };
+
+  // Written in the list format, so the file can be uploaded again under "Delete or Disable from a List"
+  const exportFailedDeletions = () => {
+    downloadFile(buildFailureListCSV(deletionFailures), `failed_deletions_${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+  };
+
+  // Suspends or restores access without touching assignments; the expiry date is optional
+  const setSelectedDisabled = async (disabled) => {
+    const targets = exportedUsers.filter(user => selectedIds.has(user.id));
+    if (targets.length === 0) {
+      appendLog('⚠️ No users selected', 'warning');
+      return;
+    }
+    const action = disabled ? 'Disable' : 'Enable';
+    const expiry = bulkExpiry ? ` and set account expiry to ${bulkExpiry}` : '';
+    if (!window.confirm(`${action} ${targets.length} users${expiry}?`)) return;
+
+    setProcessing(true);
+    setExportProgress(0);
+    const changes = { disabled, ...(bulkExpiry ? { accountExpiry: bulkExpiry } : {}) };
+    const done = new Set();
+    for (let i = 0; i < targets.length; i++) {
+      const user = targets[i];
+      if (await updateUserAccount(user.id, user.username, changes)) {
+        done.add(user.id);
+        appendLog(`${disabled ? '🔒 Disabled' : '🔓 Enabled'} user: ${user.username}`, 'success');
+      }
+      setExportProgress(((i + 1) / targets.length) * 100);
+    }
+
+    setExportedUsers(prev => prev.map(u => (done.has(u.id) ? { ...u, ...changes, disabled: String(disabled) } : u)));
+    appendLog(`🎉 ${action} completed. Success: ${done.size}, Failed: ${targets.length - done.size}`, 'success');
+    setProcessing(false);
+    setExportProgress(0);
+  };
+
+  // Username/UID list: resolved in bulk, superusers and the signed-in account are never touched
+  const fetchListedUsers = async (identifiers) => {
+    const fields = 'fields=id,username,name,disabled,userRoles[id,name,authorities]&paging=false';
+    const found = [];
+    const safe = identifiers.filter(isListSafe);
+    const chunkSize = 100;
+
+    for (let i = 0; i < safe.length; i += chunkSize) {
+      const list = `[${safe.slice(i, i + chunkSize).map(encodeURIComponent).join(',')}]`;
+      const res = await apiRequest({
+        method: 'get',
+        url: `${BASE_URL}/users?filter=id:in:${list}&filter=username:in:${list}&rootJunction=OR&${fields}`,
+      });
+      found.push(...(res.data.users || []));
+    }
+    for (const value of identifiers.filter(v => !isListSafe(v))) {
+      const res = await apiRequest({
+        method: 'get',
+        url: `${BASE_URL}/users?filter=username:eq:${encodeURIComponent(value)}&${fields}`,
+      });
+      found.push(...(res.data.users || []));
+    }
+    return found;
+  };
+
+  const handleUserListUpload = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      const identifiers = parseUserList(e.target.result);
+      setUserListFile(file.name);
+      setUserListResolution(null);
+      setUserListRun(null);
+      if (!identifiers.length) {
+        appendLog(`⚠️ No usernames or UIDs found in ${file.name}`, 'warning');
+        return;
+      }
+
       setProcessing(true);
-      let successCount = 0;
+      appendLog(`🔍 Resolving ${identifiers.length} usernames/UIDs from ${file.name}...`, 'info');
+      try {
+        const me = await apiRequest({ method: 'get', url: `${BASE_URL}/me?fields=id` });
+        const resolution = classifyUserList(identifiers, await fetchListedUsers(identifiers), me.data.id);
+        setUserListResolution(resolution);
+        appendLog(
+          `📋 ${resolution.found.length} found, ${resolution.notFound.length} not found, ${resolution.protected.length} protected`
+            + (resolution.duplicates.length ? `, ${resolution.duplicates.length} listed more than once` : ''),
+          resolution.notFound.length || resolution.protected.length ? 'warning' : 'success'
+        );
+      } catch (error) {
+        appendLog(`❌ Could not resolve user list: ${error.response?.data?.message || error.message}`, 'error');
+      }
+      setProcessing(false);
+    };
+    reader.readAsText(file);
+  };
+
+  const runUserListAction = async () => {
+    const targets = userListResolution?.found || [];
+    if (targets.length === 0) {
+      appendLog('⚠️ No users in the list can be processed', 'warning');
+      return;
+    }
+    const verb = userListAction === 'delete' ? 'Delete' : 'Disable';
+    if (!window.confirm(`${verb} ${targets.length} users from ${userListFile}?`)) return;
+
+    // The action is kept with the outcomes so the result file stays right if the dropdown changes
+    const action = userListAction;
+    setProcessing(true);
+    setExportProgress(0);
+    const outcomes = {};
+    for (let i = 0; i < targets.length; i++) {
+      const { user } = targets[i];
+      if (action === 'delete') {
+        outcomes[user.id] = (await deleteUser(user.id, user.username)).success;
+      } else {
+        outcomes[user.id] = await updateUserAccount(user.id, user.username, { disabled: true });
+        if (outcomes[user.id]) appendLog(`🔒 Disabled user: ${user.username}`, 'success');
+      }
+      setUserListRun({ action, outcomes: { ...outcomes } });
+      setExportProgress(((i + 1) / targets.length) * 100);
+    }
+
+    const done = new Set(Object.keys(outcomes).filter(id => outcomes[id]));
+    if (action === 'delete') {
+      setExportedUsers(prev => prev.filter(u => !done.has(u.id)));
+      setSelectedIds(prev => new Set([...prev].filter(id => !done.has(id))));
+    } else {
+      setExportedUsers(prev => prev.map(u => (done.has(u.id) ? { ...u, disabled: 'true' } : u)));
+    }
+    const succeeded = done.size;
+    appendLog(`🎉 ${verb} from list completed. Success: ${succeeded}, Failed: ${targets.length - succeeded}`, 'success');
+    setProcessing(false);
+    setExportProgress(0);
+  };
 
-      for (const user of selectedUsers) {
-        const success = await deleteUser(user.id, user.username);
-        if (success) successCount++;
-      }
+  const downloadUserListResult = () => {
+    const status = userListRun?.action === 'delete' ? 'deleted' : 'disabled';
+    const csv = buildListResultCSV(userListResolution, userListRun?.outcomes || {}, status);
+    downloadFile(csv, `${userListFile.replace(/\.[^.]+$/, '')}_${status}_results.csv`, 'text/csv');
+  };
 
-      setExportedUsers(prev =>
-        prev.filter(u => !selectedUsers.some(su => su.id === u.id))
-      );
-      setSelectedUsers([]);
-      appendLog(`🎉 Deletion completed. Success: ${successCount}, Failed: ${selectedUsers.length - successCount}`, 'success');
-      setProcessing(false);
-    }
+  const updateDeleteDowngradeRole = (roleId) => {
+    setDeleteDowngradeRole(roleId);
+    if (roleId) localStorage.setItem(DELETE_ROLE_KEY, roleId);
+    else localStorage.removeItem(DELETE_ROLE_KEY);
   };
 
   // Process batch with parallel execution
-  const processBatch = async (batch) => {
+  const processBatch = async (batch, strategies = assignmentStrategies) => {
     const promises = batch.map(async (user, index) => {
       try {
         const id = await getUserId(user.username);
-        const success = id ? await updateUser(user, id) : await createUser(user);
+        const success = id ? await updateUser(user, id, strategies) : await createUser(user, strategies);
         return { user, success };
       } catch (error) {
         appendLog(`❌ Failed to process ${user.username}: ${error.message}`, 'error');
@@ -586,6 +1658,166 @@ function App() {
     return Promise.all(promises);
   };
 
+  // Process batch through the /metadata endpoint in a single request
+  const processMetadataBatch = async (
+    batch,
+    options = { importStrategy, atomicMode, dryRun: metadataDryRun, strategies: assignmentStrategies }
+  ) => {
+    try {
+      const ids = await resolveUserIds(batch.map(user => user.username));
+      const strategies = options.strategies || DEFAULT_ASSIGNMENT_STRATEGIES;
+      // The metadata import replaces whole objects, so existing users are sent in full with the row on top
+      const existingUsers = {};
+      const existingIds = Object.values(ids);
+      if (existingIds.length) {
+        const res = await apiRequest({
+          method: 'get',
+          url: `${BASE_URL}/users?filter=id:in:[${existingIds.join(',')}]&fields=:all&paging=false`,
+        });
+        (res.data.users || []).forEach(u => { existingUsers[u.id] = u; });
+      }
+
+      const replaceOnly = usesReplaceOnly(strategies);
+      const payload = {
+        users: batch.map(user => {
+          const id = ids[String(user.username)];
+          if (!id) return user;
+          return existingUsers[id]
+            ? { ...existingUsers[id], ...user, id, ...resolveAssignments(user, replaceOnly ? null : existingUsers[id], strategies) }
+            : { ...user, id };
+        }),
+      };
+
+      let data;
+      try {
+        const res = await apiRequest({
+          method: 'post',
+          url: `${BASE_URL}${buildMetadataImportUrl(options)}`,
+          data: payload,
+        });
+        data = res.data;
+      } catch (error) {
+        // The server answers 409 with a full import report when objects are rejected
+        if (!hasImportReport(error.response?.data)) throw error;
+        data = error.response.data;
+      }
+
+      const results = parseImportReport(data, batch, options.atomicMode);
+      // Only users the server actually overwrote get an undoable journal entry
+      if (!options.dryRun && options.importStrategy !== 'CREATE') {
+        await recordJournalEntries('update', results
+          .filter(({ success }) => success)
+          .map(({ user }) => existingUsers[ids[String(user.username)]])
+          .filter(Boolean));
+      }
+      const suffix = options.dryRun ? ' (dry run)' : '';
+      // The report only lists rejected objects, so per user we can only say it was imported;
+      // created and updated come from the server's counts for the batch
+      results.forEach(({ user, success, errors }) => {
+        if (success) {
+          const id = ids[String(user.username)];
+          const changes = existingUsers[id] && !replaceOnly
+            ? summarizeDiff({ collections: diffUser(user, existingUsers[id], strategies).collections })
+            : [];
+          appendLog(`✅ Imported user: ${user.username}${changes.length ? ` (${changes.join('; ')})` : ''}${suffix}`, 'success');
+        } else {
+          appendLog(`❌ Error for ${user.username}${suffix}: ${errors.join('; ')}`, 'error');
+        }
+      });
+      const stats = importReportStats(data);
+      appendLog(
+        `📊 Batch: 🆕 ${stats.created} created, 🔄 ${stats.updated} updated${stats.ignored ? `, ${stats.ignored} ignored` : ''}${suffix}`,
+        'info'
+      );
+      return results;
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      appendLog(`❌ Metadata import failed for batch: ${message}`, 'error');
+      return batch.map(user => ({ user, success: false, errors: [message] }));
+    }
+  };
+
+  // Dry run: compare each row with the server without writing anything
+  const fetchExistingUser = async (id) => {
+    const res = await apiRequest({
+      method: 'get',
+      url: `${BASE_URL}/users/${id}?fields=${DIFF_FIELDS}`,
+    });
+    return res.data;
+  };
+
+  const runDryRun = async () => {
+    if (hasUnresolved) {
+      appendLog('⚠️ Some names are not resolved to UIDs yet', 'warning');
+      return;
+    }
+    if (invalidCount) {
+      appendLog(`⚠️ Invalid users detected: ${invalidCount}`, 'warning');
+      return;
+    }
+
+    setProcessing(true);
+    const issues = await validateReferences(users);
+    if (!issues || issues.length) {
+      appendLog('⚠️ Dry run aborted until reference problems are fixed', 'warning');
+      setProcessing(false);
+      return;
+    }
+
+    shouldStop.current = false;
+    setProgress(0);
+    setDryRunResults([]);
+    appendLog(`🔍 Starting dry run for ${users.length} users`, 'info');
+
+    const results = [];
+    const concurrency = importEngine === 'users' && batchSize !== 'auto' ? batchSize : CONCURRENCY_LIMITS.users.initial;
+    for (let i = 0; i < users.length && !shouldStop.current; i += concurrency) {
+      const batch = users.slice(i, i + concurrency);
+      const batchResults = await Promise.all(batch.map(async (user, offset) => {
+        const row = i + offset;
+        try {
+          const id = await getUserId(user.username);
+          const existing = id ? await fetchExistingUser(id) : null;
+          const diff = diffUser(user, existing, assignmentStrategies);
+          return { row, user, id, ...diff, approved: diff.action !== 'unchanged' };
+        } catch (error) {
+          appendLog(`❌ Dry run failed for ${user.username}: ${error.response?.data?.message || error.message}`, 'error');
+          return { row, user, id: null, action: 'error', fields: [], collections: {}, approved: false };
+        }
+      }));
+      results.push(...batchResults);
+      setProgress(Math.round((Math.min(i + concurrency, users.length) / users.length) * 100));
+    }
+
+    const count = (action) => results.filter(r => r.action === action).length;
+    setDryRunResults(results);
+    appendLog(
+      `🧪 Dry run ${shouldStop.current ? 'stopped' : 'completed'}. Create: ${count('create')}, Update: ${count('update')}, Unchanged: ${count('unchanged')}, Errors: ${count('error')}`,
+      count('error') > 0 ? 'warning' : 'success'
+    );
+    setProcessing(false);
+  };
+
+  const toggleDryRunApproval = (row) => {
+    setDryRunResults(prev => prev.map(r => (r.row === row ? { ...r, approved: !r.approved } : r)));
+  };
+
+  const setAllDryRunApprovals = (approved) => {
+    setDryRunResults(prev => prev.map(r => ({ ...r, approved: approved && r.action !== 'error' })));
+  };
+
+  const commitApprovedRows = async () => {
+    const approvedUsers = dryRunResults.filter(r => r.approved).map(r => r.user);
+    if (approvedUsers.length === 0) {
+      appendLog('⚠️ No rows approved for import', 'warning');
+      return;
+    }
+    if (window.confirm(`Are you sure you want to import ${approvedUsers.length} approved users?`)) {
+      await processUsers(approvedUsers);
+      setDryRunResults([]);
+    }
+  };
+
   // Process users with validation
   const confirmImport = () => {
     if (window.confirm(`Are you sure you want to import ${users.length} users?`)) {
@@ -603,50 +1835,182 @@ function App() {
     }
   };
 
-  const processUsers = async (retryUsers = users) => {
-    const invalidUsers = retryUsers.filter(user => validateUser(user));
-    if (invalidUsers.length) {
-      appendLog(`⚠️ Invalid users detected: ${invalidUsers.length}`, 'warning');
+  const saveImportCheckpoint = async (job) => {
+    try {
+      await dbPut(STORES.importJobs, IMPORT_CHECKPOINT_KEY, job);
+    } catch (error) {
+      appendLog(`⚠️ Could not save import checkpoint: ${error.message}`, 'warning');
+    }
+  };
+
+  const saveImportRows = async (rows) => {
+    try {
+      await dbPut(STORES.importJobs, IMPORT_ROWS_KEY, rows.map(({ password, ...row }) => row));
+    } catch (error) {
+      appendLog(`⚠️ Could not save import checkpoint: ${error.message}`, 'warning');
+    }
+  };
+
+  const discardImportCheckpoint = async () => {
+    setPendingCheckpoint(null);
+    try {
+      await dbDelete(STORES.importJobs, IMPORT_CHECKPOINT_KEY);
+      await dbDelete(STORES.importJobs, IMPORT_ROWS_KEY);
+    } catch (error) {
+      console.error('Could not delete import checkpoint:', error);
+    }
+  };
+
+  // Rows still loaded from the same file keep their passwords, so they are preferred to the stored copy
+  const resumeImport = async () => {
+    const job = pendingCheckpoint;
+    if (!job) return;
+    let rows;
+    try {
+      rows = await dbGet(STORES.importJobs, IMPORT_ROWS_KEY);
+    } catch (error) {
+      appendLog(`❌ Could not read the unfinished import: ${error.message}`, 'error');
+      return;
+    }
+    if (!rows) {
+      appendLog('❌ The rows of the unfinished import are no longer stored', 'error');
+      return;
+    }
+
+    const stillLoaded = users.length === rows.length && users.every((user, i) => String(user.username) === String(rows[i].username));
+    if (!stillLoaded) {
+      setUsers(rows);
+      setFileName(job.fileName);
+      appendLog(`⚠️ Passwords are not kept with the checkpoint. Load ${job.fileName || 'the file'} again before resuming if new users still have to be created.`, 'warning');
+    }
+    setPendingCheckpoint(null);
+    processUsers(stillLoaded ? users : rows, job);
+  };
+
+  // A checkpoint lets an interrupted run continue from the first unfinished batch
+  const processUsers = async (retryUsers = users, checkpoint = null) => {
+    // Retries and resumed jobs bring their own rows; the loaded ones are already checked
+    const loaded = retryUsers === users;
+    if (loaded ? hasUnresolved : hasUnresolvedReferences(retryUsers)) {
+      appendLog('⚠️ Some names are not resolved to UIDs yet', 'warning');
+      return;
+    }
+    const invalid = loaded ? invalidCount : retryUsers.filter(user => validateUser(user)).length;
+    if (invalid) {
+      appendLog(`⚠️ Invalid users detected: ${invalid}`, 'warning');
       return;
     }
 
     setProcessing(true);
+    const issues = await validateReferences(retryUsers);
+    if (!issues || issues.length) {
+      appendLog('⚠️ Import aborted until reference problems are fixed', 'warning');
+      setProcessing(false);
+      return;
+    }
+
     shouldStop.current = false;
-    setProgress(0);
+    setPendingCheckpoint(null);
     setFailedUsers([]);
-    
-    let successCount = 0;
-    let errorCount = 0;
-    const failed = [];
-    const totalBatches = Math.ceil(retryUsers.length / batchSize);
 
-    appendLog(`🚀 Starting import of ${retryUsers.length} users (${totalBatches} batches)`, 'info');
+    const settings = checkpoint?.settings || {
+      batchSize,
+      importEngine,
+      importStrategy,
+      atomicMode,
+      metadataDryRun,
+      assignmentStrategies,
+    };
+    const strategies = settings.assignmentStrategies || DEFAULT_ASSIGNMENT_STRATEGIES;
+    const adaptive = settings.batchSize === 'auto';
+    const limits = CONCURRENCY_LIMITS[settings.importEngine];
+    let size = adaptive ? checkpoint?.currentSize || limits.initial : settings.batchSize;
+    const failedRows = checkpoint ? [...checkpoint.failedRows] : [];
+    const startIndex = checkpoint?.nextIndex || 0;
+    const job = {
+      fileName: checkpoint?.fileName ?? fileName,
+      startedAt: checkpoint?.startedAt ?? new Date().toISOString(),
+      settings,
+      total: retryUsers.length,
+    };
+    let successCount = checkpoint?.successCount || 0;
+    let errorCount = checkpoint?.errorCount || 0;
+    if (!checkpoint) await saveImportRows(retryUsers);
+    const totalBatches = adaptive ? null : Math.ceil(retryUsers.length / size);
+    const runStartedAt = Date.now();
+    setProgress(Math.round((startIndex / retryUsers.length) * 100));
+    setThroughput(null);
+
+    if (checkpoint) {
+      appendLog(`⏯ Resuming import at user ${startIndex + 1} of ${retryUsers.length}`, 'info');
+    } else {
+      appendLog(
+        `🚀 Starting ${settings.importEngine === 'metadata' ? `metadata ${settings.importStrategy}${settings.metadataDryRun ? ' dry run' : ''} ` : ''}import of ${retryUsers.length} users (${adaptive ? 'adaptive batch size' : `${totalBatches} batches`})`,
+        'info'
+      );
+    }
     
-    for (let i = 0; i < retryUsers.length && !shouldStop.current; i += batchSize) {
-      const batch = retryUsers.slice(i, i + batchSize);
-      appendLog(`🔨 Processing batch ${Math.floor(i/batchSize) + 1}/${totalBatches}`, 'info');
+    let i = startIndex;
+    while (i < retryUsers.length && !shouldStop.current) {
+      const batch = retryUsers.slice(i, i + size);
+      appendLog(
+        adaptive
+          ? `🔨 Processing users ${i + 1}-${i + batch.length} of ${retryUsers.length} (batch size ${size})`
+          : `🔨 Processing batch ${Math.floor(i/size) + 1}/${totalBatches}`,
+        'info'
+      );
       
-      const batchResults = await processBatch(batch);
-      batchResults.forEach(({ user, success }, index) => {
-        if (success) {
+      requestStats.current = emptyRequestStats();
+      const batchResults = settings.importEngine === 'metadata'
+        ? await processMetadataBatch(batch, {
+          importStrategy: settings.importStrategy,
+          atomicMode: settings.atomicMode,
+          dryRun: settings.metadataDryRun,
+          strategies,
+        })
+        : await processBatch(batch, strategies);
+      for (let index = 0; index < batchResults.length; index++) {
+        if (batchResults[index].success) {
           successCount++;
         } else {
           errorCount++;
-          failed.push(batch[index]);
+          failedRows.push(i + index);
         }
+      }
+      i += batch.length;
+
+      const stats = summarizeRequestStats(requestStats.current);
+      const minutes = (Date.now() - runStartedAt) / 60000;
+      setThroughput({
+        usersPerMinute: Math.round((i - startIndex) / minutes),
+        batchSize: size,
+        avgLatency: stats.avgLatency,
+        errorRate: stats.errorRate,
       });
-      
-      setProgress(Math.round(((i + batchSize) / retryUsers.length) * 100));
-      
-      if (shouldStop.current) break;
+      if (adaptive) {
+        const nextSize = adjustConcurrency(size, stats, limits);
+        if (nextSize !== size) {
+          appendLog(`📶 Batch size ${nextSize > size ? 'raised' : 'lowered'} to ${nextSize} (avg latency ${stats.avgLatency} ms, ${Math.round(stats.errorRate * 100)}% errors)`, 'info');
+          size = nextSize;
+        }
+      }
+
+      await saveImportCheckpoint({ ...job, nextIndex: i, currentSize: size, failedRows, successCount, errorCount });
+      setProgress(Math.round((i / retryUsers.length) * 100));
     }
     
-    setFailedUsers(failed);
+    setFailedUsers(failedRows.map(row => retryUsers[row]));
     setImportStats({ success: successCount, failed: errorCount });
     appendLog(
       `🎉 Process ${shouldStop.current ? 'stopped' : 'completed'}. Success: ${successCount}, Errors: ${errorCount}`,
       errorCount > 0 ? 'warning' : 'success'
     );
+
+    if (shouldStop.current && i < retryUsers.length) {
+      setPendingCheckpoint({ ...job, nextIndex: i, currentSize: size, failedRows, successCount, errorCount });
+    } else {
+      await discardImportCheckpoint();
+    }
     
     setProcessing(false);
   };
@@ -661,39 +2025,45 @@ function App() {
     const file = event.target.files[0];
     if (!file) return;
     const reader = new FileReader();
+    event.target.value = '';
     reader.onload = (e) => {
-      const text = e.target.result;
-      const rows = text.trim().split('\n').slice(1);
-      const users = rows.map(row => {
-        const [username, newPassword, userRoleIds] = row.split(',').map(s => s.trim());
-        const roleObjects = userRoleIds.split(',').map(id => ({ id: id.trim() }));
-        return { username, newPassword, userRoles: roleObjects };
-      });
-      setPasswordUsers(users);
-      appendLog(`✅ Imported ${users.length} users for password update`, 'success');
+      setPasswordFileName(file.name);
+      try {
+        const users = parsePasswordCSV(e.target.result);
+        const invalid = users.filter(user => passwordRowProblems(user, passwordPolicy).length).length;
+        setPasswordUsers(users);
+        appendLog(`✅ Imported ${users.length} users for password update`, 'success');
+        if (invalid) appendLog(`⚠️ ${invalid} rows have problems and will be skipped. See the preview.`, 'warning');
+      } catch (error) {
+        setPasswordUsers([]);
+        appendLog(`❌ Could not read ${file.name}: ${error.message}`, 'error');
+      }
     };
     reader.readAsText(file);
   };
 
   const processPasswordUpdates = async () => {
-    if (passwordUsers.length === 0) {
-      appendLog('⚠️ No users imported for password update', 'warning');
+    const validUsers = passwordUsers.filter((_, index) => !passwordProblems[index].length);
+    if (validUsers.length === 0) {
+      appendLog('⚠️ No valid users imported for password update', 'warning');
       return;
     }
 
     setProcessingPasswords(true);
+    setPasswordSlips([]);
+    const slips = [];
     let successCount = 0;
     let errorCount = 0;
 
-    appendLog(`🚀 Starting password update for ${passwordUsers.length} users`, 'info');
+    appendLog(`🚀 Starting password update for ${validUsers.length} users (roles: ${passwordRoleMode})`, 'info');
 
-    for (let i = 0; i < passwordUsers.length; i++) {
-      const { username, newPassword } = passwordUsers[i];
+    for (let i = 0; i < validUsers.length; i++) {
+      const { username, newPassword, userRoles } = validUsers[i];
 
       try {
         const queryResponse = await apiRequest({
           method: 'GET',
-          url: `/users?filter=username:eq:${username}&fields=id`,
+          url: `/users?filter=username:eq:${encodeURIComponent(username)}&fields=id`,
         });
 
         const userList = queryResponse.data.users || [];
@@ -709,9 +2079,19 @@ function App() {
           url: `/users/${userId}`,
         });
 
-        const fullUserData = userResponse.data;
-        if (!fullUserData.userCredentials) fullUserData.userCredentials = {};
-        fullUserData.userCredentials.password = newPassword;
+        // Kept unchanged for the journal, which only gets it once the PUT succeeds
+        const snapshot = userResponse.data;
+        const fullUserData = {
+          ...snapshot,
+          userCredentials: { ...snapshot.userCredentials, password: newPassword },
+          userRoles: applyRoleChanges(snapshot.userRoles, userRoles, passwordRoleMode),
+        };
+        const slip = {
+          name: `${fullUserData.firstName || ''} ${fullUserData.surname || ''}`.trim(),
+          username,
+          password: newPassword,
+          orgUnit: fullUserData.organisationUnits?.[0]?.id || '',
+        };
 
         const updateResponse = await apiRequest({
           method: 'PUT',
@@ -720,7 +2100,9 @@ function App() {
         });
 
         if ([200, 204].includes(updateResponse.status)) {
-          appendLog(`✅ Password updated successfully for user '${username}'`, 'success');
+          await recordJournalEntries('password', [snapshot]);
+          slips.push(slip);
+          appendLog(`✅ Password updated successfully for user '${username}'${userRoles.length ? ` (${passwordRoleMode === 'replace' ? 'roles set to' : 'roles added'}: ${userRoles.map(role => role.id).join(', ')})` : ''}`, 'success');
           successCount++;
         } else {
           appendLog(`🚫 Failed to update user '${username}'. HTTP ${updateResponse.status}`, 'error');
@@ -731,24 +2113,63 @@ function App() {
         errorCount++;
       }
 
-      setProgress(Math.round(((i + 1) / passwordUsers.length) * 100));
+      setProgress(Math.round(((i + 1) / validUsers.length) * 100));
     }
 
+    setPasswordSlips(slips);
     appendLog(`🎉 Password update completed. Success: ${successCount}, Errors: ${errorCount}`, errorCount > 0 ? 'warning' : 'success');
     setProcessingPasswords(false);
     setProgress(0);
   };
 
   // Export functions
+  const updateExportCriteria = (field, value) => {
+    setExportCriteria(prev => ({ ...prev, [field]: value }));
+    setExportCount(null);
+  };
+
+  // The org unit criterion accepts a UID, code or name
+  const buildExportQuery = async () => {
+    const ou = exportCriteria.ou.trim();
+    if (!ou) return buildUserQuery(exportCriteria);
+    const match = matchReference(ou, await fetchCandidates('organisationUnits', [ou]));
+    if (match.status !== 'resolved') throw new Error(`Org unit "${ou}" is ${match.status}`);
+    return buildUserQuery({ ...exportCriteria, ou: match.id });
+  };
+
+  const previewExportCount = async () => {
+    try {
+      const query = await buildExportQuery();
+      const res = await apiRequest({ method: 'get', url: `${BASE_URL}/users.json?fields=id&pageSize=1${query ? `&${query}` : ''}` });
+      setExportCount(res.data.pager?.total ?? (res.data.users || []).length);
+    } catch (error) {
+      appendLog(`❌ Could not count matching users: ${error.response?.data?.message || error.message}`, 'error');
+    }
+  };
+
   const exportUsersToCSV = async () => {
+    // Without criteria every user on the instance is downloaded, which can take a long time
+    if (!hasExportCriteria(exportCriteria)
+      && !window.confirm('No export criteria are set, so every user on this instance will be exported. Continue?')) {
+      return;
+    }
     appendLog("📦 Starting DHIS2 user export...", 'info');
     setProcessing(true);
     setExportProgress(0);
 
     try {
+      const query = await buildExportQuery();
+      if (query) appendLog(`🔎 Export criteria: ${decodeURIComponent(query)}`, 'info');
+      const levelsResponse = await apiRequest({
+        method: 'get',
+        url: `${BASE_URL}/organisationUnitLevels?fields=level,displayName&order=level:asc&paging=false`,
+      });
+      setOrgUnitLevels(levelsResponse.data.organisationUnitLevels || []);
       let seenIds = new Set();
       let usersList = [];
-      let nextUrl = `${BASE_URL}/users.json?fields=id,name,username,userGroups[name],userRoles[name],lastLogin,organisationUnits[ancestors[name],name,id]&paging=true&pageSize=10000`;
+      setExportedUsers([]);
+      setSelectedIds(new Set());
+      let nextUrl = `${BASE_URL}/users.json?${query ? `${query}&` : ''}fields=id,name,username,userGroups[name],userRoles[name],lastLogin,created,organisationUnits[id,code,name,level,ancestors[id,code,name,level]],email,phoneNumber,whatsApp,openId,ldapId,accountExpiry,disabled,catDimensionConstraints[name],cogsDimensionConstraints[name],attributeValues[value,attribute[name]]&paging=true&pageSize=10000`;
       let pageCount = 0;
 
       while (nextUrl) {
@@ -773,16 +2194,7 @@ function App() {
           const userRoles = user.userRoles?.map(r => r.name).join("; ") || "";
           const lastLogin = user.lastLogin || "";
 
-          let OrgunitPaths = [];
-          let OrgunitUIDs = [];
-
-          (user.organisationUnits || []).forEach(ou => {
-            if (ou.ancestors?.length === 4) {
-              const path = [...ou.ancestors.map(a => a.name), ou.name].join(" > ");
-              OrgunitPaths.push(path);
-              OrgunitUIDs.push(ou.id || "");
-            }
-          });
+          const orgUnits = user.organisationUnits || [];
 
           usersList.push({
             id: uid,
@@ -791,11 +2203,25 @@ function App() {
             userGroups,
             userRoles,
             lastLogin,
-            OrgunitPath: OrgunitPaths.join(" | "),
-            OrgunitUID: OrgunitUIDs.join(" | "),
+            created: user.created || '',
+            OrgunitPath: orgUnits.map(orgUnitPath).join(" | "),
+            OrgunitUID: orgUnits.map(ou => ou.id || "").join(" | "),
+            ...flattenOrgUnitLevels(orgUnits),
+            email: user.email || '',
+            phoneNumber: user.phoneNumber || '',
+            whatsApp: user.whatsApp || '',
+            openId: user.openId || '',
+            ldapId: user.ldapId || '',
+            accountExpiry: user.accountExpiry || '',
+            disabled: user.disabled ? 'true' : 'false',
+            catDimensionConstraints: user.catDimensionConstraints?.map(c => c.name).join("; ") || "",
+            cogsDimensionConstraints: user.cogsDimensionConstraints?.map(c => c.name).join("; ") || "",
+            attributeValues: user.attributeValues?.map(av => `${av.attribute?.name}=${av.value}`).join("; ") || "",
           });
         }
 
+        // Show each page as it arrives instead of waiting for the whole instance
+        setExportedUsers([...usersList]);
         appendLog(`✅ Page ${pager.page} fetched. Total: ${seenIds.size}`, 'success');
         nextUrl = pager.nextPage || null;
       }
@@ -811,7 +2237,7 @@ function App() {
   };
 
   const exportFilteredUsers = (format = 'csv') => {
-    const filtered = filteredUsers;
+    const filtered = sortedUsers;
     if (filtered.length === 0) {
       appendLog('⚠️ No users match your filters', 'warning');
       return;
@@ -821,9 +2247,7 @@ function App() {
       let content, mimeType, extension;
       
       if (format === 'csv') {
-        const headers = availableColumns
-          .filter(col => selectedColumns.includes(col.id))
-          .map(col => col.label);
+        const headers = selectedColumns.map(id => availableColumns.find(col => col.id === id)?.label || id);
         
         const rows = filtered.map(user => 
           selectedColumns.map(col => {
@@ -835,6 +2259,13 @@ function App() {
         content = [headers.join(','), ...rows].join('\n');
         mimeType = 'text/csv;charset=utf-8;';
         extension = 'csv';
+      } else if (format === 'xlsx') {
+        const columns = selectedColumns
+          .map(id => availableColumns.find(col => col.id === id))
+          .filter(Boolean);
+        content = buildWorkbook(filtered, columns);
+        mimeType = XLSX_MIME_TYPE;
+        extension = 'xlsx';
       } else {
         content = JSON.stringify(filtered, null, 2);
         mimeType = 'application/json';
@@ -848,20 +2279,185 @@ function App() {
   };
 
   // UI helpers
+  const advancedPredicate = useMemo(() => compileFilter(advancedFilter), [advancedFilter]);
+
   const filteredUsers = useMemo(() => {
     return exportedUsers.filter(user =>
       user.username.toLowerCase().includes(usernameFilter.toLowerCase()) &&
-      user.OrgunitPath.toLowerCase().includes(orgUnitFilter.toLowerCase())
+      user.OrgunitPath.toLowerCase().includes(orgUnitFilter.toLowerCase()) &&
+      Object.entries(levelFilters).every(([column, text]) => (user[column] || '').toLowerCase().includes(text.toLowerCase())) &&
+      matchesChartFilter(user, chartFilter) &&
+      advancedPredicate(user)
     );
-  }, [exportedUsers, usernameFilter, orgUnitFilter]);
+  }, [exportedUsers, usernameFilter, orgUnitFilter, levelFilters, chartFilter, advancedPredicate]);
+
+  // Advanced filter builder
+  const updateCondition = (index, changes) => {
+    setAdvancedFilter(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition)),
+    }));
+  };
+
+  const addCondition = () => {
+    setAdvancedFilter(prev => ({ ...prev, conditions: [...prev.conditions, { column: 'username', operator: 'contains', value: '' }] }));
+  };
+
+  const removeCondition = (index) => {
+    setAdvancedFilter(prev => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== index) }));
+  };
+
+  const saveFilterSet = () => {
+    const name = window.prompt('Name for this filter set:');
+    if (!name) return;
+    const next = [...filterSets.filter(set => set.name !== name), { name, filter: advancedFilter }];
+    setFilterSets(next);
+    storeFilterSets(next);
+    appendLog(`💾 Saved filter set "${name}"`, 'success');
+  };
+
+  const loadFilterSet = (name) => {
+    const set = filterSets.find(saved => saved.name === name);
+    if (set) setAdvancedFilter(set.filter);
+  };
+
+  const deleteFilterSet = (name) => {
+    if (!window.confirm(`Delete filter set "${name}"?`)) return;
+    const next = filterSets.filter(set => set.name !== name);
+    setFilterSets(next);
+    storeFilterSets(next);
+  };
+
+  const shareFilter = async () => {
+    const query = filterToQuery(advancedFilter);
+    const url = `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+    window.history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      appendLog('🔗 Filter link copied to clipboard', 'success');
+    } catch {
+      appendLog(`🔗 Filter link: ${url}`, 'info');
+    }
+  };
+
+  // Sorting works on a copy, so exportedUsers keeps the server order
+  const sortedUsers = useMemo(() => sortUsers(filteredUsers, sorts), [filteredUsers, sorts]);
+  const columnLabels = Object.fromEntries(availableColumns.map(col => [col.id, col.label]));
+  const allFilteredSelected = useMemo(
+    () => filteredUsers.length > 0 && filteredUsers.every(user => selectedIds.has(user.id)),
+    [filteredUsers, selectedIds]
+  );
+
+  // Reports break org units down by the second hierarchy level (e.g. State) unless another one is picked
+  const defaultLevelField = orgUnitLevels.length > 1 ? levelColumnId(orgUnitLevels[1].level) : 'OrgunitPath';
+
+  // Analytics dashboard over all fetched users; clicking a segment filters the user table
+  const dashboardLevelField = dashboardLevel || defaultLevelField;
+  const dashboardCharts = useMemo(() => {
+    const top = (field) => countByValues(exportedUsers, field).slice(0, DASHBOARD_CHART_BARS);
+    const recency = new Map(countByValues(exportedUsers, 'loginRecency').map(({ value, count }) => [value, count]));
+    return [
+      { field: 'userRoles', title: 'Users per Role', counts: top('userRoles') },
+      { field: 'userGroups', title: 'Users per Group', counts: top('userGroups') },
+      { field: dashboardLevelField, title: 'Users per Org Unit', counts: top(dashboardLevelField) },
+      {
+        field: 'loginRecency',
+        title: 'Last Login',
+        pie: true,
+        counts: [...LOGIN_RECENCY_BUCKETS.map(bucket => bucket.label), NEVER_LOGGED_IN]
+          .map(value => ({ value, count: recency.get(value) || 0 })),
+      },
+      {
+        field: 'createdMonth',
+        title: 'Accounts Created per Month',
+        counts: countByValues(exportedUsers, 'createdMonth')
+          .filter(({ value }) => value !== '(none)')
+          .sort((a, b) => a.value.localeCompare(b.value)),
+      },
+    ];
+  }, [exportedUsers, dashboardLevelField]);
+
+  const applyChartFilter = (chart, value) => {
+    setChartFilter({ field: chart.field, title: chart.title, value });
+  };
+
+  // Inactivity report over the fetched users
+  const inactiveEntries = useMemo(
+    () => findInactiveUsers(exportedUsers, { days: inactivityDays, includeNeverLoggedIn }),
+    [exportedUsers, inactivityDays, includeNeverLoggedIn]
+  );
+  const inactivityBreakdownField = inactivityBreakdown || defaultLevelField;
+  const inactiveByOrgUnit = useMemo(
+    () => countByValues(inactiveEntries.map(({ user }) => user), inactivityBreakdownField),
+    [inactiveEntries, inactivityBreakdownField]
+  );
+  const inactiveByRole = useMemo(() => countByValues(inactiveEntries.map(({ user }) => user), 'userRoles'), [inactiveEntries]);
+
+  const inactivityChartData = useMemo(() => {
+    const labels = inactiveByOrgUnit.slice(0, INACTIVITY_CHART_BARS).map(({ value }) => value);
+    const countFor = (never) => {
+      const users = inactiveEntries.filter(({ inactiveDays }) => (inactiveDays === null) === never).map(({ user }) => user);
+      const counts = new Map(countByValues(users, inactivityBreakdownField).map(({ value, count }) => [value, count]));
+      return labels.map(label => counts.get(label) || 0);
+    };
+    return {
+      labels,
+      datasets: [
+        { label: 'Never logged in', data: countFor(true), backgroundColor: '#EF4444' },
+        { label: `No login for ${inactivityDays}+ days`, data: countFor(false), backgroundColor: '#F59E0B' },
+      ],
+    };
+  }, [inactiveEntries, inactiveByOrgUnit, inactivityBreakdownField, inactivityDays]);
+
+  const toggleInactiveSelection = (id) => {
+    setInactiveSelection(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  };
+
+  const selectAllInactive = () => {
+    setInactiveSelection(prev => (
+      prev.size === inactiveEntries.length ? new Set() : new Set(inactiveEntries.map(({ user }) => user.id))
+    ));
+  };
+
+  const runInactivityAction = async (action) => {
+    const targets = inactiveEntries.filter(({ user }) => inactiveSelection.has(user.id));
+    if (targets.length === 0) {
+      appendLog('⚠️ No inactive accounts selected', 'warning');
+      return;
+    }
+    const label = { disable: 'Disable', expire: `Expire on ${inactivityExpiry}`, delete: 'Delete' }[action];
+    const summary = summarizeInactive(targets, inactivityBreakdownField);
+    if (!window.confirm(`${label} ${targets.length} accounts?\n\n${summary.join('\n')}`)) return;
 
-  const indexOfLastUser = currentPage * usersPerPage;
-  const indexOfFirstUser = indexOfLastUser - usersPerPage;
-  const currentUsers = filteredUsers.slice(indexOfFirstUser, indexOfLastUser);
-  const totalPages = Math.ceil(filteredUsers.length / usersPerPage);
+    setProcessing(true);
+    setExportProgress(0);
+    const done = new Set();
+    for (let i = 0; i < targets.length; i++) {
+      const { user } = targets[i];
+      const success = action === 'delete'
+        ? (await deleteUser(user.id, user.username)).success
+        : await updateUserAccount(user.id, user.username, action === 'disable' ? { disabled: true } : { accountExpiry: inactivityExpiry });
+      if (success) done.add(user.id);
+      if (success && action !== 'delete') appendLog(`🔒 ${label}: ${user.username}`, 'success');
+      setExportProgress(((i + 1) / targets.length) * 100);
+    }
 
-  const handleNextPage = () => currentPage < totalPages && setCurrentPage(currentPage + 1);
-  const handlePrevPage = () => currentPage > 1 && setCurrentPage(currentPage - 1);
+    if (action === 'delete') {
+      setExportedUsers(prev => prev.filter(u => !done.has(u.id)));
+      setSelectedIds(prev => new Set([...prev].filter(id => !done.has(id))));
+    } else {
+      const changes = action === 'disable' ? { disabled: 'true' } : { accountExpiry: inactivityExpiry };
+      setExportedUsers(prev => prev.map(u => (done.has(u.id) ? { ...u, ...changes } : u)));
+    }
+    setInactiveSelection(new Set());
+    appendLog(`🎉 ${label} finished. Success: ${done.size}, Failed: ${targets.length - done.size}`, 'success');
+    setProcessing(false);
+    setExportProgress(0);
+  };
 
   const toggleColumn = (columnId) => {
     setSelectedColumns(prev => 
@@ -869,35 +2465,58 @@ function App() {
     );
   };
 
-  const toggleUserSelection = (user) => {
-    setSelectedUsers(prev => 
-      prev.some(u => u.id === user.id)
-        ? prev.filter(u => u.id !== user.id)
-        : [...prev, user]
-    );
+  // Selection is kept as a set of user ids so it survives sorting and filtering
+  const toggleUserSelection = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
   };
 
   const selectAllUsers = () => {
-    if (selectedUsers.length === filteredUsers.length) {
-      setSelectedUsers([]);
-    } else {
-      setSelectedUsers(filteredUsers);
-    }
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      filteredUsers.forEach(user => (allFilteredSelected ? next.delete(user.id) : next.add(user.id)));
+      return next;
+    });
   };
 
-  const sortTable = (key) => {
-    let direction = 'asc';
-    if (sortConfig.key === key && sortConfig.direction === 'asc') {
-      direction = 'desc';
+  // Re-fetches the filtered users with UIDs so the file can go straight back into the Import tab
+  const exportForReimport = async (format = 'json') => {
+    const ids = filteredUsers.map(user => user.id);
+    if (ids.length === 0) {
+      appendLog('⚠️ No users match your filters', 'warning');
+      return;
     }
-    setSortConfig({ key, direction });
 
-    const sortedUsers = [...exportedUsers].sort((a, b) => {
-      if (a[key] < b[key]) return direction === 'asc' ? -1 : 1;
-      if (a[key] > b[key]) return direction === 'asc' ? 1 : -1;
-      return 0;
-    });
-    setExportedUsers(sortedUsers);
+    setProcessing(true);
+    setExportProgress(0);
+    try {
+      const importable = [];
+      const chunkSize = 100;
+      for (let i = 0; i < ids.length; i += chunkSize) {
+        const res = await apiRequest({
+          method: 'get',
+          url: `${BASE_URL}/users?filter=id:in:[${ids.slice(i, i + chunkSize).join(',')}]&fields=${IMPORTABLE_USER_FIELDS}&paging=false`,
+        });
+        importable.push(...(res.data.users || []).map(toImportableUser));
+        setExportProgress(Math.min(((i + chunkSize) / ids.length) * 100, 100));
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      if (format === 'csv') {
+        downloadFile(convertJSONtoCSV(importable), `dhis2_users_reimport_${date}.csv`, 'text/csv;charset=utf-8;');
+      } else {
+        downloadFile(JSON.stringify(importable, null, 2), `dhis2_users_reimport_${date}.json`, 'application/json');
+      }
+      appendLog(`📤 Exported ${importable.length} users for re-import (passwords are never included)`, 'success');
+    } catch (error) {
+      appendLog(`❌ Re-import export failed: ${error.response?.data?.message || error.message}`, 'error');
+    } finally {
+      setProcessing(false);
+      setExportProgress(0);
+    }
   };
 
   const getLogColor = (type) => {
@@ -1053,7 +2672,8 @@ function App() {
         <div>
           <label className="block mb-2 font-medium" htmlFor="file-upload">Upload File</label>
           <div className="text-sm text-gray-500 dark:text-gray-400 mb-2" id="file-upload-desc">
-            Upload a JSON or CSV file containing user data.
+            Upload a JSON or CSV file (up to 100 MB) or an Excel (.xlsx) workbook (up to 10 MB) containing user data. CSV and Excel role, org unit and group columns accept
+            JSON UID arrays or semicolon-separated names, codes or UIDs (e.g. <code>Data Entry; Teacher</code>).
           </div>
           <label
             htmlFor="file-upload"
@@ -1070,13 +2690,19 @@ function App() {
           <input 
             id="file-upload"
             type="file" 
-            accept=".json,.csv" 
+            accept=".json,.csv,.xlsx" 
             onChange={handleFileUpload} 
             disabled={processing}
             className="hidden" 
-            aria-label="Upload JSON or CSV file"
+            aria-label="Upload JSON or CSV file, or an Excel workbook"
             aria-describedby="file-upload-desc"
           />
+          {parseProgress !== null && (
+            <div className="mt-2 space-y-1">
+              <ProgressBar progress={parseProgress} />
+              <p className="text-sm text-gray-500 dark:text-gray-400">Parsing file... {parseProgress}%</p>
+            </div>
+          )}
           {users.length > 0 && (
             <p className="mt-2 text-sm text-green-600 dark:text-green-400">
               ✅ {users.length} users loaded
@@ -1084,18 +2710,101 @@ function App() {
           )}
         </div>
 
+        <div>
+          <label className="block mb-2 font-medium" htmlFor="import-engine">Import Engine</label>
+          <select
+            id="import-engine"
+            value={importEngine}
+            onChange={(e) => {
+              const engine = e.target.value;
+              setImportEngine(engine);
+              setBatchSize(prev => (prev === 'auto' ? 'auto' : CONCURRENCY_LIMITS[engine].initial));
+            }}
+            className={`w-full p-2 rounded border ${
+              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+            aria-label="Select import engine"
+          >
+            <option value="users">Per user (/users)</option>
+            <option value="metadata">Bulk (/metadata)</option>
+          </select>
+          {importEngine === 'metadata' && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-3">
+              <select
+                value={importStrategy}
+                onChange={(e) => setImportStrategy(e.target.value)}
+                className={`w-full p-2 rounded border ${
+                  theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                aria-label="Select import strategy"
+              >
+                {IMPORT_STRATEGIES.map(strategy => (
+                  <option key={strategy} value={strategy}>{strategy}</option>
+                ))}
+              </select>
+              <select
+                value={atomicMode}
+                onChange={(e) => setAtomicMode(e.target.value)}
+                className={`w-full p-2 rounded border ${
+                  theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                aria-label="Select atomic mode"
+              >
+                {ATOMIC_MODES.map(mode => (
+                  <option key={mode} value={mode}>atomicMode: {mode}</option>
+                ))}
+              </select>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={metadataDryRun}
+                  onChange={(e) => setMetadataDryRun(e.target.checked)}
+                  className="rounded"
+                />
+                <span>Server dry run</span>
+              </label>
+            </div>
+          )}
+        </div>
+
+        <div>
+          <label className="block mb-2 font-medium">Assignments for Existing Users</label>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {COLLECTION_FIELDS.map(field => (
+              <label key={field} className="text-sm">
+                <span className="block mb-1">{field}</span>
+                <select
+                  value={assignmentStrategies[field]}
+                  onChange={(e) => setAssignmentStrategies(prev => ({ ...prev, [field]: e.target.value }))}
+                  className={`w-full p-2 rounded border ${
+                    theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                  } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                  aria-label={`Assignment strategy for ${field}`}
+                >
+                  {ASSIGNMENT_STRATEGIES.map(strategy => (
+                    <option key={strategy} value={strategy}>
+                      {strategy === 'replace' ? 'Replace with file' : strategy === 'merge' ? 'Merge (add to existing)' : 'Remove listed items'}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+
         <div>
           <label className="block mb-2 font-medium" htmlFor="batch-size">Batch Settings</label>
           <select
             id="batch-size"
             value={batchSize}
-            onChange={(e) => setBatchSize(Number(e.target.value))}
+            onChange={(e) => setBatchSize(e.target.value === 'auto' ? 'auto' : Number(e.target.value))}
             className={`w-full p-2 rounded border ${
               theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
             } focus:outline-none focus:ring-2 focus:ring-blue-500`}
             aria-label="Select batch size for user import"
           >
-            {[1, 2, 5, 10].map(size => (
+            <option value="auto">Auto (adapts to server load)</option>
+            {(importEngine === 'metadata' ? [50, 100, 250, 500] : [1, 2, 5, 10]).map(size => (
               <option key={size} value={size}>{size} users/batch</option>
             ))}
           </select>
@@ -1138,43 +2847,240 @@ function App() {
             CSV
           </ThemedButton>
           <Tooltip id="csv-template-tooltip" />
+          <ThemedButton 
+            onClick={downloadSampleNamesCSV}
+            variant="primary"
+            data-tooltip-id="csv-names-template-tooltip"
+            data-tooltip-content="Download CSV template using role, org unit and group names"
+          >
+            <FiDownload className="mr-2" />
+            CSV (names)
+          </ThemedButton>
+          <Tooltip id="csv-names-template-tooltip" />
+          <ThemedButton 
+            onClick={downloadSampleXLSX}
+            variant="primary"
+            data-tooltip-id="xlsx-template-tooltip"
+            data-tooltip-content="Download Excel template"
+          >
+            <FiDownload className="mr-2" />
+            Excel
+          </ThemedButton>
+          <Tooltip id="xlsx-template-tooltip" />
         </div>
       </div>
     </ThemedCard>
 
-    {/* Preview Uploaded Users */}
-    {users.length > 0 && (
+    {/* Interrupted Import */}
+    {pendingCheckpoint && !processing && (
+      <ThemedCard className="col-span-2">
+        <h3 className="text-lg font-semibold mb-2">Unfinished Import</h3>
+        <p className="mb-4 text-sm">
+          {pendingCheckpoint.fileName || 'An import'} started {new Date(pendingCheckpoint.startedAt).toLocaleString()} stopped
+          after {pendingCheckpoint.nextIndex} of {pendingCheckpoint.total} users
+          ({pendingCheckpoint.errorCount} failed).
+        </p>
+        <div className="flex flex-wrap gap-3">
+          <ThemedButton
+            onClick={resumeImport}
+            disabled={connectionStatus !== 'connected'}
+            variant={connectionStatus !== 'connected' ? 'disabled' : 'success'}
+            data-tooltip-id="resume-import-tooltip"
+            data-tooltip-content="Continue from the last completed batch"
+          >
+            <FiPlay className="mr-2" />
+            Resume
+          </ThemedButton>
+          <Tooltip id="resume-import-tooltip" />
+          <ThemedButton
+            onClick={() => window.confirm('Discard the unfinished import?') && discardImportCheckpoint()}
+            variant="danger"
+          >
+            <FiTrash2 className="mr-2" />
+            Discard
+          </ThemedButton>
+        </div>
+      </ThemedCard>
+    )}
+
+    {/* Column Mapping */}
+    {pendingImport && (
       <ThemedCard>
-        <h3 className="text-lg font-semibold mb-4">Uploaded Users Preview ({users.length})</h3>
+        <h3 className="text-lg font-semibold mb-4">Map Columns ({pendingImport.rows.length} rows)</h3>
+        {savedMappings.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => loadSavedMapping(e.target.value)}
+            className={`w-full p-2 mb-4 rounded border ${
+              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+            aria-label="Load a saved column mapping"
+          >
+            <option value="">Load saved mapping...</option>
+            {savedMappings.map(m => (
+              <option key={m.name} value={m.name}>{m.name}</option>
+            ))}
+          </select>
+        )}
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
             <thead className={theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}>
               <tr>
-                <th className="px-4 py-2 text-left text-sm font-medium">Username</th>
-                <th className="px-4 py-2 text-left text-sm font-medium">First Name</th>
-                <th className="px-4 py-2 text-left text-sm font-medium">Surname</th>
-                <th className="px-4 py-2 text-left text-sm font-medium">User Roles</th>
+                <th className="px-4 py-2 text-left text-sm font-medium">Source Column</th>
+                <th className="px-4 py-2 text-left text-sm font-medium">Sample</th>
+                <th className="px-4 py-2 text-left text-sm font-medium">DHIS2 Field</th>
               </tr>
             </thead>
             <tbody>
-              {users.slice(0, 10).map((user, index) => (
-                <tr key={index} className={
-                  index % 2 === 0 
+              {pendingImport.headers.map((header, index) => (
+                <tr key={header} className={
+                  index % 2 === 0
                     ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
                     : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
                 }>
-                  <td className="px-4 py-2 text-sm">{user.username}</td>
-                  <td className="px-4 py-2 text-sm">{user.firstName}</td>
-                  <td className="px-4 py-2 text-sm">{user.surname}</td>
-                  <td className="px-4 py-2 text-sm">{user.userRoles?.map(r => r.id).join(', ')}</td>
+                  <td className="px-4 py-2 text-sm">{header}</td>
+                  <td className="px-4 py-2 text-sm break-words">{pendingImport.rows[0]?.[header]}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <select
+                      value={columnMapping[header] || ''}
+                      onChange={(e) => setColumnMapping(prev => ({ ...prev, [header]: e.target.value }))}
+                      className={`p-1 rounded border ${
+                        theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                      }`}
+                      aria-label={`Map column ${header}`}
+                    >
+                      <option value="">Ignore</option>
+                      {USER_FIELDS.map(field => (
+                        <option
+                          key={field}
+                          value={field}
+                          disabled={columnMapping[header] !== field && Object.values(columnMapping).includes(field)}
+                        >
+                          {field}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
-        {users.length > 10 && (
-          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">Showing first 10 users. Total: {users.length}</p>
+        {USER_FIELDS.some(field => !Object.values(columnMapping).includes(field)) && (
+          <div className="mt-4">
+            <h4 className="font-medium mb-2">Default values for unmapped fields</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {USER_FIELDS.filter(field => !Object.values(columnMapping).includes(field)).map(field => (
+                <label key={field} className="text-sm">
+                  <span className="block mb-1">{field}</span>
+                  <input
+                    type="text"
+                    value={mappingDefaults[field] || ''}
+                    onChange={(e) => setMappingDefaults(prev => ({ ...prev, [field]: e.target.value }))}
+                    className={`w-full p-2 rounded border ${
+                      theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                    } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+        <div className="flex flex-wrap gap-3 mt-4">
+          <ThemedButton onClick={applyColumnMapping} variant="success">
+            <FiCheckCircle className="mr-2" />
+            Apply Mapping
+          </ThemedButton>
+          <ThemedButton onClick={saveColumnMapping} variant="secondary">
+            <FiDownload className="mr-2" />
+            Save Mapping
+          </ThemedButton>
+          <ThemedButton onClick={() => setPendingImport(null)} variant="danger">
+            <FiSquare className="mr-2" />
+            Cancel
+          </ThemedButton>
+        </div>
+      </ThemedCard>
+    )}
+
+    {/* Preview Uploaded Users */}
+    {users.length > 0 && (
+      <ThemedCard className="col-span-2">
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+          <h3 className="text-lg font-semibold">
+            Uploaded Users Preview ({users.length})
+            {invalidCount > 0 && (
+              <span className="ml-2 text-sm text-red-500">{invalidCount} rows with errors</span>
+            )}
+          </h3>
+          <div className="flex flex-wrap gap-3">
+            <ThemedButton
+              onClick={addUserRow}
+              disabled={processing}
+              variant={processing ? 'disabled' : 'secondary'}
+              data-tooltip-id="add-row-tooltip"
+              data-tooltip-content="Add an empty user row"
+            >
+              <FiPlus className="mr-2" />
+              Add Row
+            </ThemedButton>
+            <Tooltip id="add-row-tooltip" />
+            <ThemedButton
+              onClick={downloadCorrectedUsers}
+              variant="success"
+              data-tooltip-id="download-corrected-tooltip"
+              data-tooltip-content="Download the edited users as CSV"
+            >
+              <FiDownload className="mr-2" />
+              Download Corrected CSV
+            </ThemedButton>
+            <Tooltip id="download-corrected-tooltip" />
+            <ThemedButton
+              onClick={() => generateImportPasswords(false)}
+              disabled={processing}
+              variant={processing ? 'disabled' : 'secondary'}
+              data-tooltip-id="fill-import-passwords-tooltip"
+              data-tooltip-content="Generate policy-compliant passwords for rows without one"
+            >
+              <FiLock className="mr-2" />
+              Fill Blank Passwords
+            </ThemedButton>
+            <Tooltip id="fill-import-passwords-tooltip" />
+            <ThemedButton
+              onClick={() => generateImportPasswords(true)}
+              disabled={processing}
+              variant={processing ? 'disabled' : 'warning'}
+              data-tooltip-id="regenerate-import-passwords-tooltip"
+              data-tooltip-content="Replace every password with a generated one"
+            >
+              <FiRotateCcw className="mr-2" />
+              Regenerate All
+            </ThemedButton>
+            <Tooltip id="regenerate-import-passwords-tooltip" />
+            <ThemedButton
+              onClick={prepareImportSlips}
+              disabled={processing || !users.some(user => user.password)}
+              variant={processing || !users.some(user => user.password) ? 'disabled' : 'success'}
+              data-tooltip-id="import-slips-tooltip"
+              data-tooltip-content="List the org units with a printable credential slip file to download for each"
+            >
+              <FiDownload className="mr-2" />
+              Credential Slips
+            </ThemedButton>
+            <Tooltip id="import-slips-tooltip" />
+          </div>
+        </div>
+        {importSlipGroups && (
+          <SlipList groups={importSlipGroups} onDownload={downloadSlipFile} onClose={() => setImportSlipGroups(null)} />
         )}
+        <UserGrid
+          users={users}
+          validate={validateUserFields}
+          onEdit={editUserCell}
+          onDelete={deleteUserRow}
+          onDuplicate={duplicateUserRow}
+          disabled={processing}
+        />
       </ThemedCard>
     )}
 
@@ -1182,8 +3088,8 @@ function App() {
       <div className="flex flex-wrap gap-3">
         <ThemedButton 
           onClick={confirmImport} 
-          disabled={processing || users.length === 0 || connectionStatus !== 'connected'}
-          variant={processing || users.length === 0 || connectionStatus !== 'connected' ? 'disabled' : 'primary'}
+          disabled={processing || parseProgress !== null || users.length === 0 || connectionStatus !== 'connected'}
+          variant={processing || parseProgress !== null || users.length === 0 || connectionStatus !== 'connected' ? 'disabled' : 'primary'}
           data-tooltip-id="start-import-tooltip"
           data-tooltip-content="Start importing users"
         >
@@ -1191,6 +3097,43 @@ function App() {
           Start Import
         </ThemedButton>
         <Tooltip id="start-import-tooltip" />
+        <ThemedButton 
+          onClick={runDryRun} 
+          disabled={processing || parseProgress !== null || users.length === 0 || connectionStatus !== 'connected'}
+          variant={processing || parseProgress !== null || users.length === 0 || connectionStatus !== 'connected' ? 'disabled' : 'secondary'}
+          data-tooltip-id="dry-run-tooltip"
+          data-tooltip-content="Compare users with the server without writing anything"
+        >
+          <FiEye className="mr-2" />
+          Dry Run
+        </ThemedButton>
+        <Tooltip id="dry-run-tooltip" />
+        <ThemedButton 
+          onClick={runReferenceValidation} 
+          disabled={processing || parseProgress !== null || users.length === 0 || connectionStatus !== 'connected'}
+          variant={processing || parseProgress !== null || users.length === 0 || connectionStatus !== 'connected' ? 'disabled' : 'secondary'}
+          data-tooltip-id="validate-references-tooltip"
+          data-tooltip-content="Check usernames and role, org unit and group UIDs against the server"
+        >
+          <FiCheckCircle className="mr-2" />
+          Validate References
+        </ThemedButton>
+        <Tooltip id="validate-references-tooltip" />
+        {hasUnresolved && (
+          <>
+            <ThemedButton 
+              onClick={() => resolveReferenceNames()} 
+              disabled={processing || connectionStatus !== 'connected'}
+              variant={processing || connectionStatus !== 'connected' ? 'disabled' : 'warning'}
+              data-tooltip-id="resolve-names-tooltip"
+              data-tooltip-content="Look up role, org unit and group names or codes on the server"
+            >
+              <FiCheckCircle className="mr-2" />
+              Resolve Names
+            </ThemedButton>
+            <Tooltip id="resolve-names-tooltip" />
+          </>
+        )}
         <ThemedButton 
           onClick={stopProcessing} 
           disabled={!processing}
@@ -1238,6 +3181,167 @@ function App() {
       </div>
 
       {processing && <ProgressBar progress={progress} />}
+      {processing && throughput && (
+        <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+          ⚡ {throughput.usersPerMinute} users/min · batch size {throughput.batchSize} · avg latency {throughput.avgLatency} ms · {Math.round(throughput.errorRate * 100)}% errors
+        </p>
+      )}
+
+      {/* Name Resolution Report */}
+      {resolutionProblems.length > 0 && (
+        <ThemedCard className="mt-6">
+          <h3 className="text-lg font-semibold mb-4">Name Resolution Report ({resolutionProblems.length} problems)</h3>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className={theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}>
+                <tr>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Problem</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Field</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Value</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Candidates</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Rows</th>
+                </tr>
+              </thead>
+              <tbody>
+                {resolutionProblems.map((problem, index) => (
+                  <tr key={`${problem.field}-${problem.value}`} className={
+                    index % 2 === 0
+                      ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+                      : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+                  }>
+                    <td className="px-4 py-2 text-sm text-red-500">
+                      {problem.status === 'ambiguous' ? 'Ambiguous' : 'Not found'}
+                    </td>
+                    <td className="px-4 py-2 text-sm">{problem.field}</td>
+                    <td className="px-4 py-2 text-sm">{problem.value}</td>
+                    <td className="px-4 py-2 text-sm break-words">
+                      {problem.matches.map(m => `${m.name}${m.code ? ` [${m.code}]` : ''} (${m.id})`).join('; ')}
+                    </td>
+                    <td className="px-4 py-2 text-sm break-words">
+                      {problem.rows.slice(0, 20).join(', ')}{problem.rows.length > 20 ? ` … (+${problem.rows.length - 20})` : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </ThemedCard>
+      )}
+
+      {/* Reference Validation Report */}
+      {referenceIssues?.length > 0 && (
+        <ThemedCard className="mt-6">
+          <h3 className="text-lg font-semibold mb-4">Validation Report ({referenceIssues.length} problems)</h3>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className={theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}>
+                <tr>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Problem</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Field</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Value</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Rows</th>
+                </tr>
+              </thead>
+              <tbody>
+                {referenceIssues.map((issue, index) => (
+                  <tr key={`${issue.type}-${issue.field}-${issue.value}`} className={
+                    index % 2 === 0
+                      ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+                      : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+                  }>
+                    <td className="px-4 py-2 text-sm text-red-500">
+                      {issue.type === 'duplicate' ? 'Duplicate username' : issue.type === 'invalid' ? 'Invalid UID format' : 'Not found on server'}
+                    </td>
+                    <td className="px-4 py-2 text-sm">{issue.field}</td>
+                    <td className="px-4 py-2 text-sm">{issue.value || '(empty)'}</td>
+                    <td className="px-4 py-2 text-sm break-words">
+                      {issue.rows.slice(0, 20).join(', ')}{issue.rows.length > 20 ? ` … (+${issue.rows.length - 20})` : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </ThemedCard>
+      )}
+
+      {/* Dry Run Results */}
+      {dryRunResults.length > 0 && (
+        <ThemedCard className="mt-6">
+          <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+            <h3 className="text-lg font-semibold">
+              Dry Run Results ({dryRunResults.filter(r => r.approved).length} of {dryRunResults.length} approved)
+            </h3>
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={() => setAllDryRunApprovals(!dryRunResults.every(r => r.approved || r.action === 'error'))}
+                className={`px-4 py-2 rounded ${
+                  theme === 'dark' ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+                } transition-all duration-200`}
+              >
+                {dryRunResults.every(r => r.approved || r.action === 'error') ? 'Reject All' : 'Approve All'}
+              </button>
+              <ThemedButton
+                onClick={commitApprovedRows}
+                disabled={processing || !dryRunResults.some(r => r.approved) || connectionStatus !== 'connected'}
+                variant={processing || !dryRunResults.some(r => r.approved) || connectionStatus !== 'connected' ? 'disabled' : 'success'}
+                data-tooltip-id="commit-approved-tooltip"
+                data-tooltip-content="Import only the approved rows"
+              >
+                <FiPlay className="mr-2" />
+                Commit Approved
+              </ThemedButton>
+              <Tooltip id="commit-approved-tooltip" />
+            </div>
+          </div>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className={theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}>
+                <tr>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Approve</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Username</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Action</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium">Changes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dryRunResults.map((result, index) => (
+                  <tr key={result.row} className={
+                    index % 2 === 0
+                      ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+                      : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+                  }>
+                    <td className="px-4 py-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={result.approved}
+                        disabled={result.action === 'error'}
+                        onChange={() => toggleDryRunApproval(result.row)}
+                        className="rounded"
+                        aria-label={`Approve ${result.user.username}`}
+                      />
+                    </td>
+                    <td className="px-4 py-2 text-sm">{result.user.username}</td>
+                    <td className={`px-4 py-2 text-sm font-medium ${
+                      result.action === 'create' ? 'text-green-500'
+                        : result.action === 'update' ? 'text-yellow-500'
+                        : result.action === 'error' ? 'text-red-500'
+                        : 'text-gray-500'
+                    }`}>
+                      {result.action}
+                    </td>
+                    <td className="px-4 py-2 text-sm break-words">
+                      {summarizeDiff(result).map((line, i) => (
+                        <div key={i}>{line}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </ThemedCard>
+      )}
 
       {/* Import Statistics Dashboard */}
       {(importStats.success > 0 || importStats.failed > 0) && (
@@ -1309,17 +3413,270 @@ function App() {
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               <ThemedCard>
                 <h2 className="text-xl font-semibold mb-4">Export/Delete Users</h2>
-                <ThemedButton 
-                  onClick={exportUsersToCSV} 
-                  disabled={processing}
-                  variant={processing ? 'disabled' : 'primary'}
-                  data-tooltip-id="fetch-users-tooltip"
-                  data-tooltip-content="Fetch users from DHIS2"
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                  Criteria are applied by the DHIS2 server, so only matching users are downloaded. Leave them empty to fetch everyone.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block mb-2" htmlFor="export-query">Search</label>
+                    <input
+                      id="export-query"
+                      type="text"
+                      placeholder="Name, username or email"
+                      value={exportCriteria.query}
+                      onChange={(e) => updateExportCriteria('query', e.target.value)}
+                      className={`w-full p-2 rounded border ${
+                        theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                      } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                    />
+                  </div>
+                  <div>
+                    <label className="block mb-2" htmlFor="export-ou">Organisation Unit</label>
+                    <input
+                      id="export-ou"
+                      type="text"
+                      placeholder="UID, code or name"
+                      value={exportCriteria.ou}
+                      onChange={(e) => updateExportCriteria('ou', e.target.value)}
+                      className={`w-full p-2 rounded border ${
+                        theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                      } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                    />
+                    <label className="flex items-center space-x-2 mt-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={exportCriteria.includeChildren}
+                        onChange={(e) => updateExportCriteria('includeChildren', e.target.checked)}
+                        className="rounded"
+                      />
+                      <span>Include the whole subtree</span>
+                    </label>
+                  </div>
+                  <div>
+                    <label className="block mb-2" htmlFor="export-role">User Role</label>
+                    <select
+                      id="export-role"
+                      value={exportCriteria.role}
+                      onChange={(e) => updateExportCriteria('role', e.target.value)}
+                      className={`w-full p-2 rounded border ${
+                        theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                      } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                    >
+                      <option value="">Any role</option>
+                      {exportOptions.roles.map(role => (
+                        <option key={role.id} value={role.id}>{role.displayName}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block mb-2" htmlFor="export-group">User Group</label>
+                    <select
+                      id="export-group"
+                      value={exportCriteria.group}
+                      onChange={(e) => updateExportCriteria('group', e.target.value)}
+                      className={`w-full p-2 rounded border ${
+                        theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                      } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                    >
+                      <option value="">Any group</option>
+                      {exportOptions.groups.map(group => (
+                        <option key={group.id} value={group.id}>{group.displayName}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block mb-2" htmlFor="export-login-from">Last Login From</label>
+                    <input
+                      id="export-login-from"
+                      type="date"
+                      value={exportCriteria.lastLoginFrom}
+                      onChange={(e) => updateExportCriteria('lastLoginFrom', e.target.value)}
+                      className={`w-full p-2 rounded border ${
+                        theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                      } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                    />
+                  </div>
+                  <div>
+                    <label className="block mb-2" htmlFor="export-login-to">Last Login To</label>
+                    <input
+                      id="export-login-to"
+                      type="date"
+                      value={exportCriteria.lastLoginTo}
+                      onChange={(e) => updateExportCriteria('lastLoginTo', e.target.value)}
+                      className={`w-full p-2 rounded border ${
+                        theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                      } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                    />
+                  </div>
+                  <div>
+                    <label className="block mb-2" htmlFor="export-disabled">Account Status</label>
+                    <select
+                      id="export-disabled"
+                      value={exportCriteria.disabled}
+                      onChange={(e) => updateExportCriteria('disabled', e.target.value)}
+                      className={`w-full p-2 rounded border ${
+                        theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                      } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                    >
+                      <option value="">Active and disabled</option>
+                      <option value="false">Active only</option>
+                      <option value="true">Disabled only</option>
+                    </select>
+                  </div>
+                </div>
+                {exportCount !== null && (
+                  <p className="mb-4 text-sm text-blue-600 dark:text-blue-400">
+                    {exportCount} users match these criteria
+                  </p>
+                )}
+                <div className="flex flex-wrap gap-3">
+                  <ThemedButton
+                    onClick={previewExportCount}
+                    disabled={processing || connectionStatus !== 'connected'}
+                    variant={processing || connectionStatus !== 'connected' ? 'disabled' : 'secondary'}
+                    data-tooltip-id="count-users-tooltip"
+                    data-tooltip-content="Count matching users without downloading them"
+                  >
+                    <FiEye className="mr-2" />
+                    Preview Count
+                  </ThemedButton>
+                  <Tooltip id="count-users-tooltip" />
+                  <ThemedButton 
+                    onClick={exportUsersToCSV} 
+                    disabled={processing}
+                    variant={processing ? 'disabled' : 'primary'}
+                    data-tooltip-id="fetch-users-tooltip"
+                    data-tooltip-content="Fetch matching users from DHIS2"
+                  >
+                    <FiDownload className="mr-2" />
+                    Fetch Users from DHIS2
+                  </ThemedButton>
+                  <Tooltip id="fetch-users-tooltip" />
+                  <button
+                    onClick={() => {
+                      setExportCriteria(EMPTY_EXPORT_CRITERIA);
+                      setExportCount(null);
+                    }}
+                    className={`px-4 py-2 rounded-lg ${
+                      theme === 'dark' ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
+                    } transition-all duration-200`}
+                  >
+                    Clear Criteria
+                  </button>
+                </div>
+              </ThemedCard>
+
+              <ThemedCard>
+                <h2 className="text-xl font-semibold mb-4">Delete or Disable from a List</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4" id="user-list-upload-desc">
+                  Upload a TXT file with one username or UID per line, or a CSV with a username or id column.
+                  Superusers and your own account are always skipped.
+                </p>
+                <div
+                  onClick={() => !processing && document.getElementById('user-list-upload').click()}
+                  className={`border-2 rounded-lg p-6 text-center cursor-pointer mb-4 ${
+                    theme === 'dark'
+                      ? 'border-gray-700 bg-gray-900 hover:bg-gray-800'
+                      : 'border-gray-300 bg-white hover:bg-gray-50'
+                  } transition-all duration-200`}
                 >
-                  <FiDownload className="mr-2" />
-                  Fetch Users from DHIS2
-                </ThemedButton>
-                <Tooltip id="fetch-users-tooltip" />
+                  <FiUpload className="mx-auto mb-2 text-2xl" />
+                  <span>{userListFile || 'Choose a CSV or TXT list'}</span>
+                  <input
+                    id="user-list-upload"
+                    type="file"
+                    accept=".csv,.txt"
+                    onChange={handleUserListUpload}
+                    disabled={processing || connectionStatus !== 'connected'}
+                    className="hidden"
+                    aria-label="Upload username or UID list"
+                    aria-describedby="user-list-upload-desc"
+                  />
+                </div>
+                {userListResolution && (
+                  <>
+                    <div className="grid grid-cols-3 gap-3 mb-4 text-center">
+                      <div className="p-2 rounded bg-green-100 dark:bg-green-900">
+                        <div className="text-2xl font-bold">{userListResolution.found.length}</div>
+                        <div className="text-sm">Found</div>
+                      </div>
+                      <div className="p-2 rounded bg-yellow-100 dark:bg-yellow-900">
+                        <div className="text-2xl font-bold">{userListResolution.notFound.length}</div>
+                        <div className="text-sm">Not found</div>
+                      </div>
+                      <div className="p-2 rounded bg-red-100 dark:bg-red-900">
+                        <div className="text-2xl font-bold">{userListResolution.protected.length}</div>
+                        <div className="text-sm">Protected</div>
+                      </div>
+                    </div>
+                    {userListResolution.notFound.length > 0 && (
+                      <details className="mb-2 text-sm">
+                        <summary className="cursor-pointer">Not found</summary>
+                        <p className="mt-1 break-words">{userListResolution.notFound.join(', ')}</p>
+                      </details>
+                    )}
+                    {userListResolution.protected.length > 0 && (
+                      <details className="mb-2 text-sm">
+                        <summary className="cursor-pointer">Protected</summary>
+                        <ul className="mt-1">
+                          {userListResolution.protected.map(({ identifier, user, reason }) => (
+                            <li key={user.id}>{user.username} ({identifier}): {reason}</li>
+                          ))}
+                        </ul>
+                      </details>
+                    )}
+                    {userListResolution.found.length > 0 && (
+                      <details className="mb-4 text-sm">
+                        <summary className="cursor-pointer">Found</summary>
+                        <ul className="mt-1 max-h-48 overflow-y-auto">
+                          {userListResolution.found.map(({ user }) => (
+                            <li key={user.id}>
+                              {user.username} – {user.name}
+                              {userListRun?.outcomes[user.id] === true && ' ✅'}
+                              {userListRun?.outcomes[user.id] === false && ' ❌'}
+                            </li>
+                          ))}
+                        </ul>
+                      </details>
+                    )}
+                    <div className="flex flex-wrap items-center gap-3">
+                      <select
+                        value={userListAction}
+                        onChange={(e) => setUserListAction(e.target.value)}
+                        disabled={processing}
+                        aria-label="Action for listed users"
+                        className={`p-2 rounded border ${
+                          theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                      >
+                        <option value="disable">Disable</option>
+                        <option value="delete">Delete</option>
+                      </select>
+                      <ThemedButton
+                        onClick={runUserListAction}
+                        disabled={processing || userListResolution.found.length === 0}
+                        variant={processing || userListResolution.found.length === 0 ? 'disabled' : userListAction === 'delete' ? 'danger' : 'warning'}
+                        data-tooltip-id="run-user-list-tooltip"
+                        data-tooltip-content="Run the action on every found user"
+                      >
+                        <FiPlay className="mr-2" />
+                        Run on {userListResolution.found.length} Users
+                      </ThemedButton>
+                      <Tooltip id="run-user-list-tooltip" />
+                      <ThemedButton
+                        onClick={downloadUserListResult}
+                        disabled={processing}
+                        variant={processing ? 'disabled' : 'secondary'}
+                        data-tooltip-id="user-list-result-tooltip"
+                        data-tooltip-content="Download the status of every list entry"
+                      >
+                        <FiDownload className="mr-2" />
+                        Result File
+                      </ThemedButton>
+                      <Tooltip id="user-list-result-tooltip" />
+                    </div>
+                  </>
+                )}
               </ThemedCard>
 
               {processing && activeTab === 'export' && <ProgressBar progress={exportProgress} />}
@@ -1354,6 +3711,14 @@ function App() {
                           <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
                             {filteredUsers.length} users match your filters
                           </p>
+                          {chartFilter && (
+                            <p className="mt-1 text-sm text-blue-600 dark:text-blue-400">
+                              Chart filter: {chartFilter.title} = {chartFilter.value}
+                              <button onClick={() => setChartFilter(null)} className="ml-2 underline">
+                                Clear
+                              </button>
+                            </p>
+                          )}
                         </div>
                         <div>
                           <label className="block mb-2" htmlFor="orgunit-filter">Organization Unit</label>
@@ -1368,6 +3733,146 @@ function App() {
                             } focus:outline-none focus:ring-2 focus:ring-blue-500`}
                           />
                         </div>
+                        {orgUnitLevels.map(({ level, displayName }) => (
+                          <div key={level}>
+                            <label className="block mb-2" htmlFor={`level-filter-${level}`}>{displayName || `Level ${level}`}</label>
+                            <input
+                              id={`level-filter-${level}`}
+                              type="text"
+                              placeholder={`Filter by ${displayName || `level ${level}`}`}
+                              value={levelFilters[levelColumnId(level)] || ''}
+                              onChange={(e) => setLevelFilters(prev => ({ ...prev, [levelColumnId(level)]: e.target.value }))}
+                              className={`w-full p-2 rounded border ${
+                                theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                              } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                            />
+                          </div>
+                        ))}
+                      </div>
+
+                      <div className="mb-4">
+                        <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                          <span className="font-medium">Advanced Filters</span>
+                          <select
+                            value={advancedFilter.junction}
+                            onChange={(e) => setAdvancedFilter(prev => ({ ...prev, junction: e.target.value }))}
+                            className={`p-2 rounded border ${
+                              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                            aria-label="Combine conditions"
+                          >
+                            <option value="AND">Match all conditions</option>
+                            <option value="OR">Match any condition</option>
+                          </select>
+                        </div>
+                        {advancedFilter.conditions.map((condition, index) => {
+                          const operator = FILTER_OPERATORS.find(op => op.id === condition.operator);
+                          const invalid = condition.operator === 'regex' && !isValidRegex(condition.value);
+                          return (
+                            <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+                              <select
+                                value={operator?.column || condition.column}
+                                onChange={(e) => updateCondition(index, { column: e.target.value })}
+                                disabled={!!operator?.column}
+                                className={`p-2 rounded border ${
+                              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                aria-label="Column"
+                              >
+                                {availableColumns.map(col => (
+                                  <option key={col.id} value={col.id}>{col.label}</option>
+                                ))}
+                              </select>
+                              <select
+                                value={condition.operator}
+                                onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                                className={`p-2 rounded border ${
+                              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                aria-label="Operator"
+                              >
+                                {FILTER_OPERATORS.map(op => (
+                                  <option key={op.id} value={op.id}>{op.label}</option>
+                                ))}
+                              </select>
+                              {!operator?.noValue && (
+                                <input
+                                  type={operator?.date ? 'date' : 'text'}
+                                  value={condition.value}
+                                  onChange={(e) => updateCondition(index, { value: e.target.value })}
+                                  className={`p-2 rounded border ${
+                                    invalid ? 'border-red-500' : theme === 'dark' ? 'border-gray-700' : 'border-gray-300'
+                                  } ${theme === 'dark' ? 'bg-gray-900' : 'bg-white'} focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                  aria-label="Value"
+                                  title={invalid ? 'Invalid regular expression' : undefined}
+                                />
+                              )}
+                              <button
+                                onClick={() => removeCondition(index)}
+                                className="text-red-500 hover:text-red-700"
+                                aria-label="Remove condition"
+                              >
+                                <FiTrash2 />
+                              </button>
+                            </div>
+                          );
+                        })}
+                        <div className="flex flex-wrap items-center gap-2">
+                          <ThemedButton onClick={addCondition} variant="primary" className="px-3 py-1">
+                            <FiPlus className="mr-1" />
+                            Add Condition
+                          </ThemedButton>
+                          <ThemedButton
+                            onClick={saveFilterSet}
+                            disabled={advancedFilter.conditions.length === 0}
+                            variant={advancedFilter.conditions.length === 0 ? 'disabled' : 'secondary'}
+                            className="px-3 py-1"
+                          >
+                            Save Set
+                          </ThemedButton>
+                          <ThemedButton
+                            onClick={shareFilter}
+                            disabled={advancedFilter.conditions.length === 0}
+                            variant={advancedFilter.conditions.length === 0 ? 'disabled' : 'secondary'}
+                            className="px-3 py-1"
+                            data-tooltip-id="share-filter-tooltip"
+                            data-tooltip-content="Copy a link that opens the app with this filter"
+                          >
+                            <FiCopy className="mr-1" />
+                            Share Link
+                          </ThemedButton>
+                          <Tooltip id="share-filter-tooltip" />
+                          {filterSets.length > 0 && (
+                            <>
+                              <select
+                                value=""
+                                onChange={(e) => loadFilterSet(e.target.value)}
+                                className={`p-2 rounded border ${
+                              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                aria-label="Load filter set"
+                              >
+                                <option value="">Load saved set…</option>
+                                {filterSets.map(set => (
+                                  <option key={set.name} value={set.name}>{set.name}</option>
+                                ))}
+                              </select>
+                              <select
+                                value=""
+                                onChange={(e) => e.target.value && deleteFilterSet(e.target.value)}
+                                className={`p-2 rounded border ${
+                              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                                aria-label="Delete filter set"
+                              >
+                                <option value="">Delete saved set…</option>
+                                {filterSets.map(set => (
+                                  <option key={set.name} value={set.name}>{set.name}</option>
+                                ))}
+                              </select>
+                            </>
+                          )}
+                        </div>
                       </div>
 
                       <div className="mb-4">
@@ -1392,6 +3897,9 @@ function App() {
                           onClick={() => {
                             setUsernameFilter('');
                             setOrgUnitFilter('');
+                            setLevelFilters({});
+                            setChartFilter(null);
+                            setAdvancedFilter(EMPTY_FILTER);
                           }}
                           className={`px-4 py-2 rounded-lg ${
                             theme === 'dark' ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
@@ -1422,120 +3930,459 @@ function App() {
                           Export as JSON
                         </ThemedButton>
                         <Tooltip id="export-json-tooltip" />
+                        <ThemedButton
+                          onClick={() => exportFilteredUsers('xlsx')}
+                          variant="success"
+                          data-tooltip-id="export-xlsx-tooltip"
+                          data-tooltip-content="Export filtered users as an Excel workbook"
+                        >
+                          <FiDownload className="mr-2" />
+                          Export Excel
+                        </ThemedButton>
+                        <Tooltip id="export-xlsx-tooltip" />
+                        <ThemedButton
+                          onClick={() => exportForReimport('json')}
+                          disabled={processing || connectionStatus !== 'connected'}
+                          variant={processing || connectionStatus !== 'connected' ? 'disabled' : 'secondary'}
+                          data-tooltip-id="export-reimport-json-tooltip"
+                          data-tooltip-content="Export filtered users with UIDs in the import JSON format, without passwords"
+                        >
+                          <FiDownload className="mr-2" />
+                          Re-import JSON
+                        </ThemedButton>
+                        <Tooltip id="export-reimport-json-tooltip" />
+                        <ThemedButton
+                          onClick={() => exportForReimport('csv')}
+                          disabled={processing || connectionStatus !== 'connected'}
+                          variant={processing || connectionStatus !== 'connected' ? 'disabled' : 'secondary'}
+                          data-tooltip-id="export-reimport-csv-tooltip"
+                          data-tooltip-content="Export filtered users with UIDs in the import CSV template, without passwords"
+                        >
+                          <FiDownload className="mr-2" />
+                          Re-import CSV
+                        </ThemedButton>
+                        <Tooltip id="export-reimport-csv-tooltip" />
                         <ThemedButton
                           onClick={deleteSelectedUsers}
-                          disabled={processing || selectedUsers.length === 0 || connectionStatus !== 'connected'}
-                          variant={processing || selectedUsers.length === 0 || connectionStatus !== 'connected' ? 'disabled' : 'danger'}
+                          disabled={processing || selectedIds.size === 0 || pendingDeletion.length > 0 || connectionStatus !== 'connected'}
+                          variant={processing || selectedIds.size === 0 || pendingDeletion.length > 0 || connectionStatus !== 'connected' ? 'disabled' : 'danger'}
                           data-tooltip-id="delete-users-tooltip"
                           data-tooltip-content="Delete selected users"
                         >
                           <FiTrash2 className="mr-2" />
-                          Delete Selected ({selectedUsers.length})
+                          Delete Selected ({selectedIds.size})
                         </ThemedButton>
                         <Tooltip id="delete-users-tooltip" />
+                        <ThemedButton
+                          onClick={() => setSelectedDisabled(true)}
+                          disabled={processing || selectedIds.size === 0 || connectionStatus !== 'connected'}
+                          variant={processing || selectedIds.size === 0 || connectionStatus !== 'connected' ? 'disabled' : 'warning'}
+                          data-tooltip-id="disable-users-tooltip"
+                          data-tooltip-content="Disable selected users without changing their roles, org units or groups"
+                        >
+                          <FiLock className="mr-2" />
+                          Disable Selected
+                        </ThemedButton>
+                        <Tooltip id="disable-users-tooltip" />
+                        <ThemedButton
+                          onClick={() => setSelectedDisabled(false)}
+                          disabled={processing || selectedIds.size === 0 || connectionStatus !== 'connected'}
+                          variant={processing || selectedIds.size === 0 || connectionStatus !== 'connected' ? 'disabled' : 'success'}
+                          data-tooltip-id="enable-users-tooltip"
+                          data-tooltip-content="Enable selected users"
+                        >
+                          <FiUnlock className="mr-2" />
+                          Enable Selected
+                        </ThemedButton>
+                        <Tooltip id="enable-users-tooltip" />
+                      </div>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                        <div>
+                          <label className="block mb-2" htmlFor="bulk-expiry">Account expiry for Disable/Enable (optional)</label>
+                          <input
+                            id="bulk-expiry"
+                            type="date"
+                            value={bulkExpiry}
+                            onChange={(e) => setBulkExpiry(e.target.value)}
+                            className={`w-full p-2 rounded border ${
+                              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                          />
+                        </div>
+                        <div>
+                          <label className="block mb-2" htmlFor="delete-downgrade-role">Role assigned right before deletion</label>
+                          <select
+                            id="delete-downgrade-role"
+                            value={deleteDowngradeRole}
+                            onChange={(e) => updateDeleteDowngradeRole(e.target.value)}
+                            className={`w-full p-2 rounded border ${
+                              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                          >
+                            <option value="">Keep current roles</option>
+                            {deleteDowngradeRole && !exportOptions.roles.some(role => role.id === deleteDowngradeRole) && (
+                              <option value={deleteDowngradeRole}>{deleteDowngradeRole}</option>
+                            )}
+                            {exportOptions.roles.map(role => (
+                              <option key={role.id} value={role.id}>{role.displayName}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                      <div className="mt-4 pt-4 border-t border-gray-300 dark:border-gray-700">
+                        <h3 className="font-semibold mb-2">Deletion Job</h3>
+                        <div className="flex flex-wrap items-center gap-3">
+                          <select
+                            value={deleteConcurrency}
+                            onChange={(e) => setDeleteConcurrency(Number(e.target.value))}
+                            disabled={processing}
+                            aria-label="Parallel deletions"
+                            className={`p-2 rounded border ${
+                              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                          >
+                            {[1, 2, 5, 10].map(size => (
+                              <option key={size} value={size}>{size} at a time</option>
+                            ))}
+                          </select>
+                          <ThemedButton
+                            onClick={stopProcessing}
+                            disabled={!processing}
+                            variant={!processing ? 'disabled' : 'danger'}
+                            data-tooltip-id="stop-deletion-tooltip"
+                            data-tooltip-content="Stop after the deletions in progress finish"
+                          >
+                            <FiSquare className="mr-2" />
+                            Stop
+                          </ThemedButton>
+                          <Tooltip id="stop-deletion-tooltip" />
+                          <ThemedButton
+                            onClick={resumeDeletion}
+                            disabled={processing || pendingDeletion.length === 0 || connectionStatus !== 'connected'}
+                            variant={processing || pendingDeletion.length === 0 || connectionStatus !== 'connected' ? 'disabled' : 'primary'}
+                            data-tooltip-id="resume-deletion-tooltip"
+                            data-tooltip-content="Continue the stopped deletion job"
+                          >
+                            <FiPlay className="mr-2" />
+                            Resume ({pendingDeletion.length})
+                          </ThemedButton>
+                          <Tooltip id="resume-deletion-tooltip" />
+                          <ThemedButton
+                            onClick={discardPendingDeletion}
+                            disabled={processing || pendingDeletion.length === 0}
+                            variant={processing || pendingDeletion.length === 0 ? 'disabled' : 'danger'}
+                            data-tooltip-id="discard-deletion-tooltip"
+                            data-tooltip-content="Drop the users the stopped job has not reached"
+                          >
+                            <FiTrash2 className="mr-2" />
+                            Discard Remaining
+                          </ThemedButton>
+                          <Tooltip id="discard-deletion-tooltip" />
+                          <ThemedButton
+                            onClick={retryFailedDeletions}
+                            disabled={processing || deletionFailures.length === 0 || pendingDeletion.length > 0 || connectionStatus !== 'connected'}
+                            variant={processing || deletionFailures.length === 0 || pendingDeletion.length > 0 || connectionStatus !== 'connected' ? 'disabled' : 'warning'}
+                            data-tooltip-id="retry-deletion-tooltip"
+                            data-tooltip-content="Retry the deletions that failed"
+                          >
+                            <FiRotateCcw className="mr-2" />
+                            Retry Failed ({deletionFailures.length})
+                          </ThemedButton>
+                          <Tooltip id="retry-deletion-tooltip" />
+                          <ThemedButton
+                            onClick={exportFailedDeletions}
+                            disabled={deletionFailures.length === 0}
+                            variant={deletionFailures.length === 0 ? 'disabled' : 'warning'}
+                            data-tooltip-id="export-failed-deletions-tooltip"
+                            data-tooltip-content="Export failed deletions with their reasons to CSV"
+                          >
+                            <FiDownload className="mr-2" />
+                            Export Failed ({deletionFailures.length})
+                          </ThemedButton>
+                          <Tooltip id="export-failed-deletions-tooltip" />
+                        </div>
+                        {deletionStatus && (
+                          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                            {deletionStatus.done} of {deletionStatus.total} processed · {deletionStatus.failed} failed in this run
+                          </p>
+                        )}
+                        {deletionFailures.length > 0 && (
+                          <details className="mt-2 text-sm">
+                            <summary className="cursor-pointer">Failure reasons</summary>
+                            <ul className="mt-1 max-h-48 overflow-y-auto">
+                              {deletionFailures.map(failure => (
+                                <li key={failure.id}>{failure.username}: {failure.reason}</li>
+                              ))}
+                            </ul>
+                          </details>
+                        )}
+                      </div>
+                    </div>
+                  </ThemedCard>
+
+                  {/* User Analytics Dashboard */}
+                  <ThemedCard className="col-span-2">
+                    <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                      <div>
+                        <h3 className="text-lg font-semibold">User Analytics</h3>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                          Click a bar or segment to filter the user table.
+                        </p>
                       </div>
+                      <div>
+                        <label className="block mb-1 text-sm" htmlFor="dashboard-level">Org unit level</label>
+                        <select
+                          id="dashboard-level"
+                          value={dashboardLevelField}
+                          onChange={(e) => setDashboardLevel(e.target.value)}
+                          className={`p-2 rounded border ${
+                            theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                          } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                        >
+                          <option value="OrgunitPath">Org unit path</option>
+                          {orgUnitLevels.map(({ level, displayName }) => (
+                            <option key={level} value={levelColumnId(level)}>{displayName || `Level ${level}`}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                      {dashboardCharts.map(chart => {
+                        const data = {
+                          labels: chart.counts.map(({ value }) => value),
+                          datasets: [{
+                            label: 'Users',
+                            data: chart.counts.map(({ count }) => count),
+                            backgroundColor: chart.pie ? DASHBOARD_COLORS : '#3B82F6',
+                          }],
+                        };
+                        const options = {
+                          responsive: true,
+                          maintainAspectRatio: false,
+                          onClick: (event, elements) => {
+                            if (elements.length) applyChartFilter(chart, chart.counts[elements[0].index].value);
+                          },
+                          plugins: { legend: { display: !!chart.pie, position: 'right' } },
+                        };
+                        return (
+                          <div key={chart.title}>
+                            <h4 className="font-medium mb-2">{chart.title}</h4>
+                            <div className="h-64">
+                              {chart.pie ? <Pie data={data} options={options} /> : <Bar data={data} options={options} />}
+                            </div>
+                          </div>
+                        );
+                      })}
                     </div>
                   </ThemedCard>
 
                   <ThemedCard className="col-span-2">
                     <div className="flex justify-between items-center mb-4">
-                      <h3 className="text-lg font-semibold">User Data ({filteredUsers.length} users)</h3>
+                      <h3 className="text-lg font-semibold">User Data ({filteredUsers.length} users, {selectedIds.size} selected)</h3>
                       <button
                         onClick={selectAllUsers}
                         className={`px-4 py-2 rounded ${
                           theme === 'dark' ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'
                         } transition-all duration-200`}
                         data-tooltip-id="select-all-tooltip"
-                        data-tooltip-content={selectedUsers.length === filteredUsers.length ? 'Deselect All' : 'Select All'}
+                        data-tooltip-content={allFilteredSelected ? 'Deselect all matching users' : 'Select all matching users'}
                       >
-                        {selectedUsers.length === filteredUsers.length ? 'Deselect All' : 'Select All'}
+                        {allFilteredSelected ? 'Deselect All' : 'Select All'}
                       </button>
                     </div>
-                    <div className="overflow-x-auto">
-                      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
-                        <thead className={theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}>
-                          <tr>
-                            <th className="px-4 py-2 text-left text-sm font-medium">
-                              <input
-                                type="checkbox"
-                                checked={selectedUsers.length === filteredUsers.length && filteredUsers.length > 0}
-                                onChange={selectAllUsers}
-                                className="rounded"
-                              />
-                            </th>
-                            {selectedColumns.map(col => (
-                              <th
-                                key={col}
-                                className="px-4 py-2 text-left text-sm font-medium cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-800"
-                                onClick={() => sortTable(col)}
-                              >
-                                {availableColumns.find(c => c.id === col)?.label}
-                                {sortConfig.key === col && (
-                                  <span>{sortConfig.direction === 'asc' ? ' ↑' : ' ↓'}</span>
-                                )}
-                              </th>
-                            ))}
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {currentUsers.map((user, index) => (
-                            <tr
-                              key={index}
-                              className={
-                                index % 2 === 0 
-                                  ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
-                                  : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
-                              }
-                            >
-                              <td className="px-4 py-2 text-sm">
-                                <input
-                                  type="checkbox"
-                                  checked={selectedUsers.some(u => u.id === user.id)}
-                                  onChange={() => toggleUserSelection(user)}
-                                  className="rounded"
-                                />
-                              </td>
-                              {selectedColumns.map(col => (
-                                <td
-                                  key={`${index}-${col}`}
-                                  className="px-4 py-2 text-sm break-words"
-                                  style={{ maxWidth: col === 'OrgunitPath' ? '400px' : '200px' }}
-                                >
-                                  {String(user[col] ?? '')}
-                                </td>
-                              ))}
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
-                    </div>
+                    <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+                      Click a header to sort, Shift+click to add a sort level, drag a header to reorder and drag its edge to resize.
+                    </p>
+                    <UserTable
+                      users={sortedUsers}
+                      columns={selectedColumns}
+                      labels={columnLabels}
+                      widths={columnWidths}
+                      sorts={sorts}
+                      selectedIds={selectedIds}
+                      allSelected={allFilteredSelected}
+                      onSort={(key, additive) => setSorts(prev => toggleSort(prev, key, additive))}
+                      onResize={(key, width) => setColumnWidths(prev => ({ ...prev, [key]: width }))}
+                      onReorder={(from, to) => setSelectedColumns(prev => moveColumn(prev, from, to))}
+                      onToggle={toggleUserSelection}
+                      onToggleAll={selectAllUsers}
+                    />
+                  </ThemedCard>
 
-                    {totalPages > 1 && (
-                      <div className="mt-4 flex justify-between items-center">
-                        <button
-                          onClick={handlePrevPage}
-                          disabled={currentPage === 1}
-                          className={`px-4 py-2 rounded ${
-                            currentPage === 1 
-                              ? 'bg-gray-400 cursor-not-allowed' 
-                              : 'bg-blue-600 hover:bg-blue-700 text-white'
-                          } transition-all duration-200`}
-                        >
-                          Previous
-                        </button>
-                        <span>Page {currentPage} of {totalPages}</span>
-                        <button
-                          onClick={handleNextPage}
-                          disabled={currentPage === totalPages}
-                          className={`px-4 py-2 rounded ${
-                            currentPage === totalPages 
-                              ? 'bg-gray-400 cursor-not-allowed' 
-                              : 'bg-blue-600 hover:bg-blue-700 text-white'
-                          } transition-all duration-200`}
+                  {/* Inactivity Report */}
+                  <ThemedCard className="col-span-2">
+                    <h3 className="text-lg font-semibold mb-4">Inactivity Report</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                      <div>
+                        <label className="block mb-2" htmlFor="inactivity-days">No login for at least (days)</label>
+                        <input
+                          id="inactivity-days"
+                          type="number"
+                          min="1"
+                          value={inactivityDays}
+                          onChange={(e) => {
+                            setInactivityDays(Math.max(1, Number(e.target.value) || 1));
+                            setInactiveSelection(new Set());
+                          }}
+                          className={`w-full p-2 rounded border ${
+                          theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                        />
+                        <label className="flex items-center space-x-2 mt-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={includeNeverLoggedIn}
+                            onChange={(e) => {
+                              setIncludeNeverLoggedIn(e.target.checked);
+                              setInactiveSelection(new Set());
+                            }}
+                            className="rounded"
+                          />
+                          <span>Include accounts that never logged in</span>
+                        </label>
+                      </div>
+                      <div>
+                        <label className="block mb-2" htmlFor="inactivity-breakdown">Break down by</label>
+                        <select
+                          id="inactivity-breakdown"
+                          value={inactivityBreakdownField}
+                          onChange={(e) => setInactivityBreakdown(e.target.value)}
+                          className={`w-full p-2 rounded border ${
+                          theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500`}
                         >
-                          Next
-                        </button>
+                          <option value="OrgunitPath">Org unit path</option>
+                          {orgUnitLevels.map(({ level, displayName }) => (
+                            <option key={level} value={levelColumnId(level)}>{displayName || `Level ${level}`}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block mb-2" htmlFor="inactivity-expiry">Expiry date for "Expire"</label>
+                        <input
+                          id="inactivity-expiry"
+                          type="date"
+                          value={inactivityExpiry}
+                          onChange={(e) => setInactivityExpiry(e.target.value)}
+                          className={`w-full p-2 rounded border ${
+                          theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+                        />
                       </div>
+                    </div>
+
+                    <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+                      {inactiveEntries.length} of {exportedUsers.length} accounts are inactive, {inactiveSelection.size} selected
+                    </p>
+
+                    {inactiveEntries.length > 0 && (
+                      <>
+                        <div className="w-full h-72 mb-4">
+                          <Bar
+                            data={inactivityChartData}
+                            options={{
+                              responsive: true,
+                              maintainAspectRatio: false,
+                              scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true } },
+                              plugins: { legend: { position: 'top' } },
+                            }}
+                          />
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                          {[['Org Unit', inactiveByOrgUnit], ['Role', inactiveByRole]].map(([title, rows]) => (
+                            <div key={title} className="max-h-60 overflow-y-auto">
+                              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                                <thead className={theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}>
+                                  <tr>
+                                    <th className="px-4 py-2 text-left text-sm font-medium">{title}</th>
+                                    <th className="px-4 py-2 text-left text-sm font-medium">Inactive</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {rows.map(({ value, count }, index) => (
+                                    <tr key={value} className={
+                                      index % 2 === 0
+                                        ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+                                        : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+                                    }>
+                                      <td className="px-4 py-2 text-sm">{value}</td>
+                                      <td className="px-4 py-2 text-sm">{count}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                          ))}
+                        </div>
+
+                        <div className="max-h-80 overflow-y-auto mb-4">
+                          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                            <thead className={theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}>
+                              <tr>
+                                <th className="px-4 py-2 text-left text-sm font-medium">
+                                  <input
+                                    type="checkbox"
+                                    checked={inactiveSelection.size === inactiveEntries.length}
+                                    onChange={selectAllInactive}
+                                    className="rounded"
+                                    aria-label="Select all inactive accounts"
+                                  />
+                                </th>
+                                <th className="px-4 py-2 text-left text-sm font-medium">Username</th>
+                                <th className="px-4 py-2 text-left text-sm font-medium">Name</th>
+                                <th className="px-4 py-2 text-left text-sm font-medium">Last Login</th>
+                                <th className="px-4 py-2 text-left text-sm font-medium">Days Inactive</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {inactiveEntries.slice(0, INACTIVITY_LIST_LIMIT).map(({ user, inactiveDays }, index) => (
+                                <tr key={user.id} className={
+                                  index % 2 === 0
+                                    ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+                                    : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+                                }>
+                                  <td className="px-4 py-2 text-sm">
+                                    <input
+                                      type="checkbox"
+                                      checked={inactiveSelection.has(user.id)}
+                                      onChange={() => toggleInactiveSelection(user.id)}
+                                      className="rounded"
+                                    />
+                                  </td>
+                                  <td className="px-4 py-2 text-sm">{user.username}</td>
+                                  <td className="px-4 py-2 text-sm">{user.name}</td>
+                                  <td className="px-4 py-2 text-sm">{user.lastLogin || 'Never'}</td>
+                                  <td className="px-4 py-2 text-sm">{inactiveDays ?? '—'}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {inactiveEntries.length > INACTIVITY_LIST_LIMIT && (
+                            <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                              Showing {INACTIVITY_LIST_LIMIT} of {inactiveEntries.length} accounts. Select all to act on every one of them.
+                            </p>
+                          )}
+                        </div>
+
+                        <div className="flex flex-wrap gap-3">
+                          {[
+                            ['disable', 'Disable', 'warning'],
+                            ['expire', 'Expire', 'secondary'],
+                            ['delete', 'Delete', 'danger'],
+                          ].map(([action, label, variant]) => (
+                            <ThemedButton
+                              key={action}
+                              onClick={() => runInactivityAction(action)}
+                              disabled={processing || inactiveSelection.size === 0 || connectionStatus !== 'connected'}
+                              variant={processing || inactiveSelection.size === 0 || connectionStatus !== 'connected' ? 'disabled' : variant}
+                            >
+                              {action === 'delete' ? <FiTrash2 className="mr-2" /> : <FiLock className="mr-2" />}
+                              {label} Selected
+                            </ThemedButton>
+                          ))}
+                        </div>
+                      </>
                     )}
                   </ThemedCard>
                 </>
@@ -1596,7 +4443,8 @@ function App() {
             Upload Password CSV
           </label>
           <div className="text-sm text-gray-500 dark:text-gray-400 mb-2" id="password-file-upload-desc">
-            Upload a CSV file with columns: username, new_password, user_role_ids.
+            Upload a CSV file with columns: username, new_password and optionally user_role_ids.
+            Quote the role cell when it lists several comma-separated UIDs.
           </div>
           <div
             onClick={() => document.getElementById('password-file-upload').click()}
@@ -1607,7 +4455,7 @@ function App() {
             } transition-all duration-200`}
           >
             <FiUpload className="mx-auto mb-2 text-2xl" />
-            <span>{fileName || 'Choose File or Drag & Drop'}</span>
+            <span>{passwordFileName || 'Choose File or Drag & Drop'}</span>
             <input 
               id="password-file-upload"
               type="file" 
@@ -1626,6 +4474,26 @@ function App() {
           )}
         </div>
 
+        <div>
+          <label className="block mb-2 font-medium" htmlFor="password-role-mode">Roles from user_role_ids</label>
+          <select
+            id="password-role-mode"
+            value={passwordRoleMode}
+            onChange={(e) => setPasswordRoleMode(e.target.value)}
+            disabled={processingPasswords}
+            className={`w-full p-2 rounded border ${
+              theme === 'dark' ? 'border-gray-700 bg-gray-900' : 'border-gray-300 bg-white'
+            } focus:outline-none focus:ring-2 focus:ring-blue-500`}
+          >
+            {ROLE_MODES.map(mode => (
+              <option key={mode} value={mode}>
+                {mode === 'add' ? 'Add to the current roles' : 'Replace the current roles'}
+              </option>
+            ))}
+          </select>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">Rows with an empty role cell keep their roles.</p>
+        </div>
+
         <div className="flex flex-wrap gap-3">
           <ThemedButton 
             onClick={downloadSamplePasswordCsv}
@@ -1639,8 +4507,8 @@ function App() {
           <Tooltip id="password-sample-tooltip" />
           <ThemedButton 
             onClick={processPasswordUpdates}
-            disabled={processingPasswords || passwordUsers.length === 0 || connectionStatus !== 'connected'}
-            variant={processingPasswords || passwordUsers.length === 0 || connectionStatus !== 'connected' ? 'disabled' : 'primary'}
+            disabled={processingPasswords || !hasValidPasswordRows || connectionStatus !== 'connected'}
+            variant={processingPasswords || !hasValidPasswordRows || connectionStatus !== 'connected' ? 'disabled' : 'primary'}
             data-tooltip-id="process-passwords-tooltip"
             data-tooltip-content="Process password updates"
           >
@@ -1648,12 +4516,90 @@ function App() {
             {processingPasswords ? 'Processing...' : 'Process Updates'}
           </ThemedButton>
           <Tooltip id="process-passwords-tooltip" />
+          <ThemedButton
+            onClick={() => generateCsvPasswords(false)}
+            disabled={processingPasswords || passwordUsers.length === 0}
+            variant={processingPasswords || passwordUsers.length === 0 ? 'disabled' : 'secondary'}
+            data-tooltip-id="fill-csv-passwords-tooltip"
+            data-tooltip-content="Generate policy-compliant passwords for rows without one"
+          >
+            <FiLock className="mr-2" />
+            Fill Blank Passwords
+          </ThemedButton>
+          <Tooltip id="fill-csv-passwords-tooltip" />
+          <ThemedButton
+            onClick={() => generateCsvPasswords(true)}
+            disabled={processingPasswords || passwordUsers.length === 0}
+            variant={processingPasswords || passwordUsers.length === 0 ? 'disabled' : 'warning'}
+            data-tooltip-id="regenerate-csv-passwords-tooltip"
+            data-tooltip-content="Replace every password with a generated one"
+          >
+            <FiRotateCcw className="mr-2" />
+            Regenerate All
+          </ThemedButton>
+          <Tooltip id="regenerate-csv-passwords-tooltip" />
+          <ThemedButton
+            onClick={async () => setPasswordSlipGroups(await prepareCredentialSlips(passwordSlips))}
+            disabled={processingPasswords || passwordSlips.length === 0}
+            variant={processingPasswords || passwordSlips.length === 0 ? 'disabled' : 'success'}
+            data-tooltip-id="password-slips-tooltip"
+            data-tooltip-content="List the org units of the updated users with a printable credential slip file to download for each"
+          >
+            <FiDownload className="mr-2" />
+            Credential Slips ({passwordSlips.length})
+          </ThemedButton>
+          <Tooltip id="password-slips-tooltip" />
         </div>
+        {passwordSlipGroups && (
+          <SlipList groups={passwordSlipGroups} onDownload={downloadSlipFile} onClose={() => setPasswordSlipGroups(null)} />
+        )}
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Password policy: {passwordPolicy.minLength} to {passwordPolicy.maxLength} characters with an uppercase letter,
+          a digit and a special character, not containing the username.
+        </p>
       </div>
     </ThemedCard>
 
     {processingPasswords && <ProgressBar progress={progress} />}
 
+    {passwordUsers.length > 0 && (
+      <ThemedCard className="col-span-2">
+        <h3 className="text-lg font-semibold mb-4">Preview ({passwordUsers.length} rows)</h3>
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className={theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}>
+              <tr>
+                <th className="px-4 py-2 text-left text-sm font-medium">Row</th>
+                <th className="px-4 py-2 text-left text-sm font-medium">Username</th>
+                <th className="px-4 py-2 text-left text-sm font-medium">New Password</th>
+                <th className="px-4 py-2 text-left text-sm font-medium">Roles ({passwordRoleMode})</th>
+                <th className="px-4 py-2 text-left text-sm font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {passwordUsers.map((user, index) => (
+                <tr key={user.row} className={
+                  index % 2 === 0
+                    ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+                    : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+                }>
+                  <td className="px-4 py-2 text-sm">{user.row}</td>
+                  <td className="px-4 py-2 text-sm">{user.username}</td>
+                  <td className="px-4 py-2 text-sm">{'•'.repeat(Math.min(user.newPassword.length, 12))}</td>
+                  <td className="px-4 py-2 text-sm break-words">
+                    {user.userRoles.length ? user.userRoles.map(role => role.id).join(', ') : 'Unchanged'}
+                  </td>
+                  <td className={`px-4 py-2 text-sm ${passwordProblems[index].length ? 'text-red-500' : 'text-green-600 dark:text-green-400'}`}>
+                    {passwordProblems[index].length ? passwordProblems[index].join('; ') : 'Ready'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </ThemedCard>
+    )}
+
     {/* Activity Log */}
     <ThemedCard className="col-span-2">
       <div className="flex justify-between items-center mb-4">
@@ -1698,13 +4644,99 @@ function App() {
   </div>
 )}
 
+          {/* Operation Journal */}
+          <ThemedCard className="mt-6">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+              <div>
+                <h3 className="text-lg font-semibold">Operation Journal</h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Users as they were before each update, deletion or password change. Stored in this browser only.
+                </p>
+              </div>
+              <div className="flex gap-3">
+                <ThemedButton
+                  onClick={exportJournal}
+                  disabled={journal.length === 0}
+                  variant={journal.length === 0 ? 'disabled' : 'secondary'}
+                  data-tooltip-id="export-journal-tooltip"
+                  data-tooltip-content="Download every journal entry with its full user snapshot"
+                >
+                  <FiDownload className="mr-2" />
+                  Export Backup
+                </ThemedButton>
+                <Tooltip id="export-journal-tooltip" />
+                <ThemedButton
+                  onClick={clearJournal}
+                  disabled={journal.length === 0}
+                  variant={journal.length === 0 ? 'disabled' : 'danger'}
+                >
+                  <FiTrash2 className="mr-2" />
+                  Clear
+                </ThemedButton>
+              </div>
+            </div>
+            {journal.length === 0 ? (
+              <p className="text-center text-gray-500 dark:text-gray-400">No operations recorded yet</p>
+            ) : (
+              <div className="max-h-80 overflow-y-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                  <thead className={theme === 'dark' ? 'bg-gray-900' : 'bg-gray-100'}>
+                    <tr>
+                      <th className="px-4 py-2 text-left text-sm font-medium">Time</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium">Operation</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium">Username</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium">UID</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium">Undo</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {journal.slice(0, JOURNAL_DISPLAY_LIMIT).map((entry, index) => (
+                      <tr key={entry.id} className={
+                        index % 2 === 0
+                          ? theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+                          : theme === 'dark' ? 'bg-gray-900' : 'bg-gray-50'
+                      }>
+                        <td className="px-4 py-2 text-sm">{new Date(entry.timestamp).toLocaleString()}</td>
+                        <td className="px-4 py-2 text-sm">{JOURNAL_OPERATIONS[entry.operation]}</td>
+                        <td className="px-4 py-2 text-sm">{entry.username}</td>
+                        <td className="px-4 py-2 text-sm font-mono">{entry.userId}</td>
+                        <td className="px-4 py-2 text-sm">
+                          {entry.undoneAt ? (
+                            <span className="text-green-600 dark:text-green-400">
+                              Undone {new Date(entry.undoneAt).toLocaleString()}
+                            </span>
+                          ) : (
+                            <ThemedButton
+                              onClick={() => undoJournalEntry(entry)}
+                              disabled={connectionStatus !== 'connected'}
+                              variant={connectionStatus !== 'connected' ? 'disabled' : 'warning'}
+                              className="px-3 py-1"
+                            >
+                              <FiRotateCcw className="mr-1" />
+                              {entry.operation === 'delete' ? 'Recreate' : 'Restore'}
+                            </ThemedButton>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {journal.length > JOURNAL_DISPLAY_LIMIT && (
+                  <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                    Showing the newest {JOURNAL_DISPLAY_LIMIT} of {journal.length} entries. Export the backup for the rest.
+                  </p>
+                )}
+              </div>
+            )}
+          </ThemedCard>
+
           {/* Help Modal */}
           {showHelp && (
             <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
               <ThemedCard className="p-6 max-w-2xl">
                 <h2 className="text-xl font-bold mb-4">Help</h2>
                 <p className="mb-4">
-                  The DHIS2 User Manager allows you to import, export, and delete user data in JSON or CSV formats.
+                  The DHIS2 User Manager allows you to import, export, and delete user data in JSON, CSV or Excel formats.
                   Upload a file to import users, retry failed imports, or fetch and filter users from the DHIS2 server for export or deletion.
                   For more details, visit the <a href="https://docs.dhis2.org" className="text-blue-600 hover:underline">DHIS2 documentation</a>.
                 </p>
@@ -0,0 +1,68 @@
+import { USER_FIELDS } from './convertCSVtoJSON';
+
+const STORAGE_KEY = 'columnMappings';
+
+// Common header spellings seen in partner files, normalised to lowercase letters and digits
+const FIELD_ALIASES = {
+  firstName: ['firstname', 'first', 'givenname', 'forename'],
+  surname: ['surname', 'lastname', 'last', 'familyname'],
+  username: ['username', 'user', 'login', 'userid'],
+  password: ['password', 'pass', 'pwd'],
+  userRoles: ['userroles', 'userrole', 'roles', 'role'],
+  organisationUnits: ['organisationunits', 'organisationunit', 'organizationunits', 'organizationunit', 'orgunits', 'orgunit', 'orgunituid', 'ou'],
+  dataViewOrganisationUnits: ['datavieworganisationunits', 'datavieworgunits', 'datavieworgunit'],
+  teiSearchOrganisationUnits: ['teisearchorganisationunits', 'searchorgunits', 'teisearchorgunit'],
+  userGroups: ['usergroups', 'usergroup', 'groups', 'group'],
+  email: ['email', 'emailaddress', 'mail'],
+  phoneNumber: ['phonenumber', 'phone', 'phoneno', 'mobile', 'telephone'],
+  whatsApp: ['whatsapp', 'whatsappnumber'],
+  openId: ['openid'],
+  ldapId: ['ldapid', 'ldap'],
+  accountExpiry: ['accountexpiry', 'expiry', 'expirydate', 'expires'],
+  disabled: ['disabled', 'isdisabled'],
+  catDimensionConstraints: ['catdimensionconstraints', 'categoryconstraints'],
+  cogsDimensionConstraints: ['cogsdimensionconstraints', 'categoryoptiongroupsetconstraints'],
+  attributeValues: ['attributevalues', 'attributes'],
+};
+
+const normalise = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const needsMapping = (headers) => headers.some(header => !USER_FIELDS.includes(header));
+
+// Returns { sourceColumn: field } with '' for columns that should be ignored
+export const suggestMapping = (headers) => {
+  const used = new Set();
+  return Object.fromEntries(headers.map(header => {
+    const key = normalise(header);
+    const field = USER_FIELDS.find(f => !used.has(f) && (f === header || FIELD_ALIASES[f].includes(key))) || '';
+    if (field) used.add(field);
+    return [header, field];
+  }));
+};
+
+// Produces rows keyed by USER_FIELDS, ready for rowToUser
+export const applyMapping = (rows, mapping, defaults = {}) => rows.map(row => {
+  const mapped = {};
+  USER_FIELDS.forEach(field => {
+    const source = Object.keys(mapping).find(column => mapping[column] === field);
+    const value = source !== undefined ? row[source] : undefined;
+    mapped[field] = value !== undefined && value !== '' ? value : defaults[field] || '';
+  });
+  return mapped;
+});
+
+export const loadSavedMappings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeSavedMappings = (mappings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+};
+
+// A saved mapping is reused automatically when it was made for exactly these headers
+export const findSavedMapping = (mappings, headers) =>
+  mappings.find(saved => saved.headers.length === headers.length && saved.headers.every(h => headers.includes(h)));
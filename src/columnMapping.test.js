@@ -0,0 +1,39 @@
+import { needsMapping, suggestMapping, applyMapping, findSavedMapping } from './columnMapping';
+import { rowToUser } from './convertCSVtoJSON';
+
+const headers = ['First Name', 'Last Name', 'Staff ID', 'Org Unit UID', 'Notes'];
+
+test('asks for a mapping only when headers are not template fields', () => {
+  expect(needsMapping(['firstName', 'username', 'userRoles'])).toBe(false);
+  expect(needsMapping(headers)).toBe(true);
+});
+
+test('suggests fields from common header spellings', () => {
+  expect(suggestMapping(headers)).toEqual({
+    'First Name': 'firstName',
+    'Last Name': 'surname',
+    'Staff ID': '',
+    'Org Unit UID': 'organisationUnits',
+    Notes: '',
+  });
+});
+
+test('maps rows and fills defaults for unmapped fields', () => {
+  const mapping = { ...suggestMapping(headers), 'Staff ID': 'username' };
+  const [row] = applyMapping(
+    [{ 'First Name': 'Ada', 'Last Name': 'Obi', 'Staff ID': '1001', 'Org Unit UID': 'wRQIw3NMW29', Notes: 'x' }],
+    mapping,
+    { userRoles: 'Data Entry' }
+  );
+  const user = rowToUser(row);
+
+  expect(user).toMatchObject({ firstName: 'Ada', surname: 'Obi', username: 1001 });
+  expect(user.userRoles).toEqual([{ ref: 'Data Entry' }]);
+  expect(user.organisationUnits).toEqual([{ ref: 'wRQIw3NMW29' }]);
+});
+
+test('finds a saved mapping made for the same headers', () => {
+  const saved = [{ name: 'Partner A', headers: [...headers].reverse(), mapping: {}, defaults: {} }];
+  expect(findSavedMapping(saved, headers).name).toBe('Partner A');
+  expect(findSavedMapping(saved, headers.slice(1))).toBeUndefined();
+});
@@ -1,22 +1,169 @@
 import Papa from 'papaparse';
 
+// Column names understood by the importer, in template order
+export const USER_FIELDS = [
+  'firstName',
+  'surname',
+  'username',
+  'password',
+  'userRoles',
+  'organisationUnits',
+  'dataViewOrganisationUnits',
+  'teiSearchOrganisationUnits',
+  'userGroups',
+  'email',
+  'phoneNumber',
+  'whatsApp',
+  'openId',
+  'ldapId',
+  'accountExpiry',
+  'disabled',
+  'catDimensionConstraints',
+  'cogsDimensionConstraints',
+  'attributeValues',
+];
+
+export const REFERENCE_CELL_FIELDS = [
+  'userRoles',
+  'organisationUnits',
+  'dataViewOrganisationUnits',
+  'teiSearchOrganisationUnits',
+  'userGroups',
+  'catDimensionConstraints',
+  'cogsDimensionConstraints',
+];
+
+// Account attributes are only set when the cell has a value; updates send the row on top of
+// the full stored user, so a blank cell keeps what the server already has
+export const ATTRIBUTE_FIELDS = [
+  'email',
+  'phoneNumber',
+  'whatsApp',
+  'openId',
+  'ldapId',
+  'accountExpiry',
+  'disabled',
+  'catDimensionConstraints',
+  'cogsDimensionConstraints',
+  'attributeValues',
+];
+
+// Reference cells take either a JSON array of {id} objects or a semicolon-separated
+// list of names, codes or UIDs, which are resolved against the server before import
+export const parseReferenceCell = (cell) => {
+  const value = (cell || '').trim();
+  if (!value) return [];
+  if (value.startsWith('[')) {
+    let refs;
+    try {
+      refs = JSON.parse(value);
+    } catch {
+      throw new Error(`"${value}" is not a valid JSON list like [{"id":"abc123DEF45"}]`);
+    }
+    if (!Array.isArray(refs)) throw new Error(`"${value}" should be a JSON list`);
+    return refs;
+  }
+  return value.split(';').map(part => part.trim()).filter(Boolean).map(ref => ({ ref }));
+};
+
+// Attribute values take a JSON array or `attributeUid=value; otherUid=value`
+export const parseAttributeValuesCell = (cell) => {
+  const value = (cell || '').trim();
+  if (!value) return [];
+  if (value.startsWith('[')) return JSON.parse(value);
+  return value.split(';').map(part => part.trim()).filter(Boolean).map(pair => {
+    const separator = pair.indexOf('=');
+    if (separator < 1) throw new Error(`Attribute value "${pair}" should look like attributeUid=value`);
+    return { attribute: { id: pair.slice(0, separator).trim() }, value: pair.slice(separator + 1).trim() };
+  });
+};
+
+export const formatAttributeValuesCell = (values = []) =>
+  values.map(av => `${av.attribute?.id}=${av.value}`).join('; ');
+
+export const parseUserCell = (field, cell) => {
+  if (REFERENCE_CELL_FIELDS.includes(field)) return parseReferenceCell(cell);
+  if (field === 'attributeValues') return parseAttributeValuesCell(cell);
+  if (field === 'disabled') return /^(true|yes|1)$/i.test(String(cell ?? '').trim());
+  if (field === 'username') return Number(cell) || cell;
+  return cell || '';
+};
+
+export const parseCSV = (csvData) => {
+  const result = Papa.parse(csvData, { header: true, skipEmptyLines: true });
+  if (!result.data.length) throw new Error('No data rows found');
+  return { headers: result.meta.fields || [], rows: result.data };
+};
+
+export const rowToUser = (row) => {
+  const user = {};
+  USER_FIELDS.forEach(field => {
+    const cell = row[field];
+    if (ATTRIBUTE_FIELDS.includes(field) && (cell === undefined || cell === '')) return;
+    user[field] = parseUserCell(field, cell);
+  });
+  return user;
+};
+
 export const convertCSVtoJSON = (csvData) => {
   try {
-    const result = Papa.parse(csvData, { header: true, skipEmptyLines: true });
-    if (!result.data.length) throw new Error('No data rows found');
-    return result.data.map(row => ({
-      firstName: row.firstName || '',
-      surname: row.surname || '',
-      username: Number(row.username) || row.username,
-      password: row.password || '',
-      userRoles: row.userRoles ? JSON.parse(row.userRoles) : [],
-      organisationUnits: row.organisationUnits ? JSON.parse(row.organisationUnits) : [],
-      dataViewOrganisationUnits: row.dataViewOrganisationUnits ? JSON.parse(row.dataViewOrganisationUnits) : [],
-      teiSearchOrganisationUnits: row.teiSearchOrganisationUnits ? JSON.parse(row.teiSearchOrganisationUnits) : [],
-      userGroups: row.userGroups ? JSON.parse(row.userGroups) : [],
-    }));
+    return parseCSV(csvData).rows.map(rowToUser);
   } catch (error) {
     console.error('CSV parsing failed:', error);
     return null;
   }
-};
\ No newline at end of file
+};
+
+// Resolved references are written back as JSON UID arrays, anything else as a semicolon list
+export const formatReferenceCell = (refs = []) => {
+  if (!refs.length) return '';
+  if (refs.every(ref => ref.id)) return JSON.stringify(refs.map(ref => ({ id: ref.id })));
+  return refs.map(ref => ref.id ?? ref.ref).join('; ');
+};
+
+export const formatUserCell = (field, value) => {
+  if (value === undefined || value === null) return '';
+  if (REFERENCE_CELL_FIELDS.includes(field)) return formatReferenceCell(value);
+  if (field === 'attributeValues') return formatAttributeValuesCell(value);
+  return String(value);
+};
+
+export const convertJSONtoCSV = (users) => Papa.unparse({
+  fields: USER_FIELDS,
+  data: users.map(user => USER_FIELDS.map(field => formatUserCell(field, user[field]))),
+});
+
+// Edited reference text keeps the {id} of values that were already resolved
+export const parseEditedReferenceCell = (text, previous = []) => {
+  const knownIds = previous.map(ref => ref.id).filter(Boolean);
+  return parseReferenceCell(text).map(ref => (ref.ref !== undefined && knownIds.includes(ref.ref) ? { id: ref.ref } : ref));
+};
+
+// Fields to request from /api/users so the response can be turned back into an importable row
+export const IMPORTABLE_USER_FIELDS = USER_FIELDS
+  .filter(field => field !== 'password')
+  .map(field => {
+    if (REFERENCE_CELL_FIELDS.includes(field)) return `${field}[id]`;
+    if (field === 'attributeValues') return 'attributeValues[value,attribute[id]]';
+    return field;
+  })
+  .join(',');
+
+// Shapes a server user like an uploaded one: UID references only, no password, empty attributes left out
+export const toImportableUser = (serverUser) => {
+  const user = {};
+  USER_FIELDS.filter(field => field !== 'password').forEach(field => {
+    const value = serverUser[field];
+    if (REFERENCE_CELL_FIELDS.includes(field)) {
+      if (ATTRIBUTE_FIELDS.includes(field) && !value?.length) return;
+      user[field] = (value || []).map(ref => ({ id: ref.id }));
+    } else if (field === 'attributeValues') {
+      if (value?.length) user[field] = value.map(av => ({ attribute: { id: av.attribute?.id }, value: av.value }));
+    } else if (ATTRIBUTE_FIELDS.includes(field)) {
+      if (value !== undefined && value !== null && value !== '') user[field] = value;
+    } else {
+      user[field] = value ?? '';
+    }
+  });
+  return user;
+};
@@ -0,0 +1,77 @@
+import { rowToUser, parseAttributeValuesCell, parseUserCell, convertJSONtoCSV, convertCSVtoJSON, toImportableUser } from './convertCSVtoJSON';
+
+test('leaves blank attribute cells out of the user', () => {
+  const user = rowToUser({ username: '11010051', email: '', disabled: '', userRoles: 'Data Entry' });
+
+  expect(user).not.toHaveProperty('email');
+  expect(user).not.toHaveProperty('disabled');
+  expect(user.userRoles).toEqual([{ ref: 'Data Entry' }]);
+});
+
+test('parses account attributes and attribute values', () => {
+  const user = rowToUser({
+    username: 'jdoe',
+    email: 'jdoe@example.org',
+    disabled: 'Yes',
+    catDimensionConstraints: '[{"id":"fMZEcRHuamy"}]',
+    attributeValues: 'fYwKxPBfQMc=EMP-1; l1VmqIHKk6t = North',
+  });
+
+  expect(user).toMatchObject({
+    email: 'jdoe@example.org',
+    disabled: true,
+    catDimensionConstraints: [{ id: 'fMZEcRHuamy' }],
+    attributeValues: [
+      { attribute: { id: 'fYwKxPBfQMc' }, value: 'EMP-1' },
+      { attribute: { id: 'l1VmqIHKk6t' }, value: 'North' },
+    ],
+  });
+  expect(() => parseAttributeValuesCell('EMP-1')).toThrow('attributeUid=value');
+});
+
+test('round trips attributes through CSV', () => {
+  const users = [{
+    username: 'jdoe',
+    userRoles: [{ id: 'KBkjSGFKSKI' }],
+    accountExpiry: '2027-12-31',
+    disabled: false,
+    attributeValues: [{ attribute: { id: 'fYwKxPBfQMc' }, value: 'EMP-1' }],
+  }];
+
+  expect(convertCSVtoJSON(convertJSONtoCSV(users))[0]).toMatchObject(users[0]);
+});
+
+test('turns server users back into importable rows without passwords', () => {
+  const user = toImportableUser({
+    id: 'xE7jOejl9FI',
+    firstName: 'John',
+    surname: 'Doe',
+    username: 'jdoe',
+    userRoles: [{ id: 'KBkjSGFKSKI', name: 'Data Entry' }],
+    organisationUnits: [{ id: 'wMcSLrAHchs' }],
+    email: 'jdoe@example.org',
+    disabled: false,
+    catDimensionConstraints: [],
+    attributeValues: [{ attribute: { id: 'fYwKxPBfQMc', name: 'Employee ID' }, value: 'EMP-1' }],
+  });
+
+  expect(user).toEqual({
+    firstName: 'John',
+    surname: 'Doe',
+    username: 'jdoe',
+    userRoles: [{ id: 'KBkjSGFKSKI' }],
+    organisationUnits: [{ id: 'wMcSLrAHchs' }],
+    dataViewOrganisationUnits: [],
+    teiSearchOrganisationUnits: [],
+    userGroups: [],
+    email: 'jdoe@example.org',
+    disabled: false,
+    attributeValues: [{ attribute: { id: 'fYwKxPBfQMc' }, value: 'EMP-1' }],
+  });
+  expect(convertCSVtoJSON(convertJSONtoCSV([user]))[0]).toEqual({ ...user, password: '' });
+});
+
+test('reports malformed reference JSON with a readable error', () => {
+  expect(parseUserCell('userRoles', '[{"id":"KBkjSGFKSKI"}]')).toEqual([{ id: 'KBkjSGFKSKI' }]);
+  expect(() => parseUserCell('userRoles', '[abc')).toThrow('"[abc" is not a valid JSON list');
+});
@@ -0,0 +1,49 @@
+export const NO_ORG_UNIT = 'No org unit';
+
+// entries are [{ name, username, password, orgUnit }]; returns [{ orgUnit, entries }] sorted by org unit
+export const groupByOrgUnit = (entries) => {
+  const groups = {};
+  entries.forEach(entry => {
+    const key = entry.orgUnit || NO_ORG_UNIT;
+    groups[key] = groups[key] || [];
+    groups[key].push(entry);
+  });
+  return Object.keys(groups)
+    .sort((a, b) => a.localeCompare(b))
+    .map(orgUnit => ({ orgUnit, entries: groups[orgUnit] }));
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[ch]));
+
+const renderSlip = ({ name, username, password }, serverUrl) => `
+    <div class="slip">
+      <div><b>Name:</b> ${escapeHtml(name)}</div>
+      <div><b>Username:</b> <code>${escapeHtml(username)}</code></div>
+      <div><b>Password:</b> <code>${escapeHtml(password)}</code></div>
+      <div><b>Server:</b> ${escapeHtml(serverUrl)}</div>
+      <p>Please change this password after your first login.</p>
+    </div>`;
+
+// One printable document per org unit, so each unit only receives its own passwords;
+// the dashed borders are the cut lines
+export const buildCredentialSlipsDocument = ({ orgUnit, entries }, serverUrl) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Credential slips for ${escapeHtml(orgUnit)}</title>
+<style>
+  body { font-family: sans-serif; }
+  .slip { border: 1px dashed #666; padding: 8px 12px; margin: 8px 0; page-break-inside: avoid; break-inside: avoid; }
+  .slip p { margin: 4px 0 0; font-size: 0.85em; }
+</style>
+</head>
+<body>
+  <h2>${escapeHtml(orgUnit)} (${entries.length} account${entries.length === 1 ? '' : 's'})</h2>${entries.map(entry => renderSlip(entry, serverUrl)).join('')}
+</body>
+</html>
+`;
+
+export const slipFileName = (orgUnitName) =>
+  `credentials_${orgUnitName.replace(/[^A-Za-z0-9-]+/g, '_').replace(/^_+|_+$/g, '') || 'org_unit'}.html`;
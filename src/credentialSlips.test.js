@@ -0,0 +1,34 @@
+import { groupByOrgUnit, buildCredentialSlipsDocument, slipFileName, NO_ORG_UNIT } from './credentialSlips';
+
+const entries = [
+  { name: 'John Doe', username: 'jdoe', password: 'Xy7!abcdefgh', orgUnit: 'Kano' },
+  { name: 'Ann Bee', username: 'abee', password: 'Zz8?abcdefgh', orgUnit: '' },
+  { name: 'Ann Cee', username: 'acee', password: 'Qq9#<b>&', orgUnit: 'Abia' },
+];
+
+test('groups accounts by org unit', () => {
+  expect(groupByOrgUnit(entries).map(group => [group.orgUnit, group.entries.length])).toEqual([
+    ['Abia', 1],
+    ['Kano', 1],
+    [NO_ORG_UNIT, 1],
+  ]);
+});
+
+test('writes a separate document per org unit with only its own accounts', () => {
+  const [, kano] = groupByOrgUnit(entries);
+  const html = buildCredentialSlipsDocument(kano, 'https://play.dhis2.org');
+  expect(html).toContain('<h2>Kano (1 account)</h2>');
+  expect(html).toContain('<b>Username:</b> <code>jdoe</code>');
+  expect(html).toContain('<b>Server:</b> https://play.dhis2.org');
+  expect(html).not.toContain('abee');
+  expect(html).not.toContain('acee');
+});
+
+test('escapes values so passwords print exactly as generated', () => {
+  const [abia] = groupByOrgUnit(entries);
+  expect(buildCredentialSlipsDocument(abia, '')).toContain('<code>Qq9#&lt;b&gt;&amp;</code>');
+});
+
+test('makes org unit names safe for file names', () => {
+  expect(slipFileName('Kano / Dala LGA')).toBe('credentials_Kano_Dala_LGA.html');
+});
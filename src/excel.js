@@ -0,0 +1,34 @@
+import * as XLSX from 'xlsx';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Columns written as real Excel dates instead of ISO strings
+const DATE_COLUMNS = ['lastLogin', 'created', 'accountExpiry'];
+
+// Reads the first worksheet as CSV so it goes through the same conversion as a CSV upload
+export const xlsxToCSV = (arrayBuffer) => {
+  const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw new Error('Workbook has no sheets');
+  return XLSX.utils.sheet_to_csv(sheet, { blankrows: false });
+};
+
+const toCellValue = (column, value) => {
+  if (DATE_COLUMNS.includes(column) && value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date;
+  }
+  return value ?? '';
+};
+
+// rows are plain objects, columns are [{ id, label }] in output order
+export const buildWorkbook = (rows, columns, sheetName = 'Users') => {
+  const data = [
+    columns.map(col => col.label),
+    ...rows.map(row => columns.map(col => toCellValue(col.id, row[col.id]))),
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet(data, { cellDates: true, dateNF: 'yyyy-mm-dd hh:mm' });
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+  return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+};
@@ -0,0 +1,34 @@
+import * as XLSX from 'xlsx';
+import { buildWorkbook, xlsxToCSV } from './excel';
+import { convertCSVtoJSON, convertJSONtoCSV } from './convertCSVtoJSON';
+
+test('writes dates as date cells', () => {
+  const columns = [{ id: 'username', label: 'Username' }, { id: 'lastLogin', label: 'Last Login' }];
+  const buffer = buildWorkbook([{ username: 'a', lastLogin: '2025-07-01T10:00:00.000' }], columns);
+  const sheet = XLSX.read(buffer, { type: 'array' }).Sheets.Users;
+
+  expect(sheet.A1.v).toBe('Username');
+  expect(sheet.B2.t).toBe('n');
+  expect(XLSX.SSF.parse_date_code(sheet.B2.v)).toMatchObject({ y: 2025, m: 7, d: 1 });
+});
+
+test('reads a workbook in the CSV template layout', () => {
+  const columns = ['username', 'userRoles', 'organisationUnits'].map(id => ({ id, label: id }));
+  const buffer = buildWorkbook([{ username: '12020407', userRoles: 'Data Entry', organisationUnits: '[{"id": "wRQIw3NMW29"}]' }], columns);
+  const [user] = convertCSVtoJSON(xlsxToCSV(buffer));
+
+  expect(user.username).toBe(12020407);
+  expect(user.userRoles).toEqual([{ ref: 'Data Entry' }]);
+  expect(user.organisationUnits).toEqual([{ id: 'wRQIw3NMW29' }]);
+});
+
+test('writes corrected users back in the template layout', () => {
+  const csv = convertJSONtoCSV([
+    { firstName: 'Ada', username: 1001, userRoles: [{ id: 'KBkjSGFKSKI' }], userGroups: [{ ref: 'Teachers' }] },
+  ]);
+  const [user] = convertCSVtoJSON(csv);
+
+  expect(user.username).toBe(1001);
+  expect(user.userRoles).toEqual([{ id: 'KBkjSGFKSKI' }]);
+  expect(user.userGroups).toEqual([{ ref: 'Teachers' }]);
+});
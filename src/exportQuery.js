@@ -0,0 +1,30 @@
+// Export criteria are sent to /api/users so only matching users are downloaded
+export const EMPTY_EXPORT_CRITERIA = {
+  query: '',
+  ou: '',
+  includeChildren: true,
+  role: '',
+  group: '',
+  lastLoginFrom: '',
+  lastLoginTo: '',
+  disabled: '',
+};
+
+// ou must already be a UID; disabled is '', 'true' or 'false'
+export const buildUserQuery = (criteria) => {
+  const params = [];
+  const query = criteria.query.trim();
+  if (query) params.push(`query=${encodeURIComponent(query)}`);
+  if (criteria.ou) {
+    params.push(`ou=${criteria.ou}`);
+    if (criteria.includeChildren) params.push('includeChildren=true');
+  }
+  if (criteria.role) params.push(`filter=userRoles.id:eq:${criteria.role}`);
+  if (criteria.group) params.push(`filter=userGroups.id:eq:${criteria.group}`);
+  if (criteria.lastLoginFrom) params.push(`lastLoginFrom=${criteria.lastLoginFrom}`);
+  if (criteria.lastLoginTo) params.push(`lastLoginTo=${criteria.lastLoginTo}`);
+  if (criteria.disabled) params.push(`filter=disabled:eq:${criteria.disabled}`);
+  return params.join('&');
+};
+
+export const hasExportCriteria = (criteria) => buildUserQuery(criteria) !== '';
@@ -0,0 +1,32 @@
+import { buildUserQuery, hasExportCriteria, EMPTY_EXPORT_CRITERIA } from './exportQuery';
+
+test('leaves empty criteria out of the query', () => {
+  expect(buildUserQuery(EMPTY_EXPORT_CRITERIA)).toBe('');
+  expect(hasExportCriteria({ ...EMPTY_EXPORT_CRITERIA, query: '  ' })).toBe(false);
+});
+
+test('builds server-side filters for every criterion', () => {
+  expect(buildUserQuery({
+    query: 'john doe',
+    ou: 'wRQIw3NMW29',
+    includeChildren: true,
+    role: 'KBkjSGFKSKI',
+    group: 'U8WuGyxfFFp',
+    lastLoginFrom: '2026-01-01',
+    lastLoginTo: '2026-06-30',
+    disabled: 'false',
+  }).split('&')).toEqual([
+    'query=john%20doe',
+    'ou=wRQIw3NMW29',
+    'includeChildren=true',
+    'filter=userRoles.id:eq:KBkjSGFKSKI',
+    'filter=userGroups.id:eq:U8WuGyxfFFp',
+    'lastLoginFrom=2026-01-01',
+    'lastLoginTo=2026-06-30',
+    'filter=disabled:eq:false',
+  ]);
+});
+
+test('limits the org unit to itself when children are excluded', () => {
+  expect(buildUserQuery({ ...EMPTY_EXPORT_CRITERIA, ou: 'wRQIw3NMW29', includeChildren: false })).toBe('ou=wRQIw3NMW29');
+});
@@ -0,0 +1,113 @@
+const STORAGE_KEY = 'userFilterSets';
+
+// hasRole and inGroup always look at their own column, whatever column the condition names
+export const FILTER_OPERATORS = [
+  { id: 'contains', label: 'contains' },
+  { id: 'equals', label: 'equals' },
+  { id: 'regex', label: 'matches regex' },
+  { id: 'empty', label: 'is empty', noValue: true },
+  { id: 'notEmpty', label: 'is not empty', noValue: true },
+  { id: 'before', label: 'is before', date: true },
+  { id: 'after', label: 'is after', date: true },
+  { id: 'hasRole', label: 'has role', column: 'userRoles' },
+  { id: 'inGroup', label: 'is in group', column: 'userGroups' },
+];
+
+export const EMPTY_FILTER = { junction: 'AND', conditions: [] };
+
+const operatorById = (id) => FILTER_OPERATORS.find(op => op.id === id);
+
+export const isValidRegex = (pattern) => {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Conditions still being typed (no value yet) are skipped instead of hiding every row
+export const isCompleteCondition = ({ column, operator, value }) => {
+  const op = operatorById(operator);
+  if (!op || (!column && !op.column)) return false;
+  if (op.noValue) return true;
+  if (!String(value ?? '').trim()) return false;
+  return operator !== 'regex' || isValidRegex(value);
+};
+
+const compileCondition = ({ column, operator, value }) => {
+  const op = operatorById(operator);
+  const field = op.column || column;
+  const text = String(value ?? '').trim().toLowerCase();
+  const cell = (user) => String(user[field] ?? '');
+
+  switch (operator) {
+    case 'contains': return user => cell(user).toLowerCase().includes(text);
+    case 'equals': return user => cell(user).toLowerCase() === text;
+    case 'regex': {
+      const pattern = new RegExp(value, 'i');
+      return user => pattern.test(cell(user));
+    }
+    case 'empty': return user => cell(user).trim() === '';
+    case 'notEmpty': return user => cell(user).trim() !== '';
+    case 'before':
+    case 'after': {
+      const limit = Date.parse(value);
+      return user => {
+        const date = Date.parse(cell(user));
+        if (Number.isNaN(date)) return false;
+        return operator === 'before' ? date < limit : date > limit;
+      };
+    }
+    default:
+      // hasRole / inGroup: exact, case-insensitive match on one of the "; "-joined names
+      return user => cell(user).split(/\s*;\s*/).some(name => name.toLowerCase() === text);
+  }
+};
+
+// Builds the predicate once so regexes and dates are not re-parsed for every row
+export const compileFilter = (filter) => {
+  const predicates = (filter?.conditions || []).filter(isCompleteCondition).map(compileCondition);
+  if (!predicates.length) return () => true;
+  return filter.junction === 'OR'
+    ? user => predicates.some(matches => matches(user))
+    : user => predicates.every(matches => matches(user));
+};
+
+// Filters are shared as ?join=OR&c=column:operator:value with each part URI-encoded
+export const filterToQuery = (filter) => {
+  const params = new URLSearchParams();
+  if (filter.junction === 'OR') params.set('join', 'OR');
+  filter.conditions.filter(isCompleteCondition).forEach(({ column, operator, value }) => {
+    params.append('c', [column, operator, value ?? ''].map(encodeURIComponent).join(':'));
+  });
+  return params.toString();
+};
+
+export const filterFromQuery = (search) => {
+  const params = new URLSearchParams(search);
+  // Each part was encoded on its own; a hand-edited or truncated link can leave a stray `%`
+  const conditions = params.getAll('c')
+    .map(part => {
+      try {
+        const [column = '', operator = '', value = ''] = part.split(':').map(decodeURIComponent);
+        return { column, operator, value };
+      } catch {
+        return null;
+      }
+    })
+    .filter(condition => condition && operatorById(condition.operator));
+  return { junction: params.get('join') === 'OR' ? 'OR' : 'AND', conditions };
+};
+
+export const loadFilterSets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeFilterSets = (sets) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sets));
+};
@@ -0,0 +1,50 @@
+import { compileFilter, filterToQuery, filterFromQuery, isCompleteCondition } from './filterBuilder';
+
+const users = [
+  { id: 'a', username: 'jdoe', userRoles: 'Data Entry; Admin', userGroups: 'Ebonyi', lastLogin: '2026-05-01T10:00:00.000' },
+  { id: 'b', username: 'asmith', userRoles: 'Data Entry Clerk', userGroups: '', lastLogin: '' },
+  { id: 'c', username: 'jroe', userRoles: 'Admin', userGroups: 'Lagos; Ebonyi', lastLogin: '2025-12-01T10:00:00.000' },
+];
+
+const ids = (filter) => users.filter(compileFilter(filter)).map(user => user.id);
+
+test('combines conditions with AND and OR', () => {
+  const conditions = [
+    { column: 'username', operator: 'regex', value: '^j' },
+    { column: 'lastLogin', operator: 'before', value: '2026-01-01' },
+  ];
+
+  expect(ids({ junction: 'AND', conditions })).toEqual(['c']);
+  expect(ids({ junction: 'OR', conditions })).toEqual(['a', 'c']);
+});
+
+test('matches roles and groups by exact name', () => {
+  expect(ids({ junction: 'AND', conditions: [{ operator: 'hasRole', value: 'data entry' }] })).toEqual(['a']);
+  expect(ids({ junction: 'AND', conditions: [{ operator: 'inGroup', value: 'Ebonyi' }] })).toEqual(['a', 'c']);
+  expect(ids({ junction: 'AND', conditions: [{ column: 'userGroups', operator: 'empty' }] })).toEqual(['b']);
+});
+
+test('skips conditions that are incomplete or have a broken regex', () => {
+  expect(isCompleteCondition({ column: 'username', operator: 'contains', value: '' })).toBe(false);
+  expect(ids({ junction: 'AND', conditions: [{ column: 'username', operator: 'regex', value: '(' }] })).toEqual(['a', 'b', 'c']);
+});
+
+test('round trips filters through a URL query string', () => {
+  const filter = {
+    junction: 'OR',
+    conditions: [
+      { column: 'username', operator: 'contains', value: 'a:b & c' },
+      { column: 'userRoles', operator: 'hasRole', value: 'Admin' },
+    ],
+  };
+
+  expect(filterFromQuery(`?${filterToQuery(filter)}`)).toEqual(filter);
+  expect(filterFromQuery('')).toEqual({ junction: 'AND', conditions: [] });
+});
+
+test('drops conditions a hand-edited link has broken', () => {
+  expect(filterFromQuery('?c=username%3Acontains%3A100%2525&c=username%3Acontains%3A50%')).toEqual({
+    junction: 'AND',
+    conditions: [{ column: 'username', operator: 'contains', value: '100%' }],
+  });
+});
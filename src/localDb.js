@@ -0,0 +1,49 @@
+// Minimal promise wrapper around the browser's IndexedDB for state that must survive a reload
+const DB_NAME = 'dhis2-user-manager';
+const DB_VERSION = 2;
+
+export const STORES = {
+  importJobs: 'importJobs',
+  journal: 'journal',
+};
+
+const openDb = () => new Promise((resolve, reject) => {
+  if (!window.indexedDB) {
+    reject(new Error('IndexedDB is not available in this browser'));
+    return;
+  }
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    Object.values(STORES).forEach(store => {
+      if (!request.result.objectStoreNames.contains(store)) request.result.createObjectStore(store);
+    });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = action(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
+
+export const dbGet = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+
+export const dbPut = (storeName, key, value) => withStore(storeName, 'readwrite', store => store.put(value, key));
+
+export const dbDelete = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+export const dbGetAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+export const dbClear = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
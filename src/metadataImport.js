@@ -0,0 +1,43 @@
+export const IMPORT_STRATEGIES = ['CREATE_AND_UPDATE', 'CREATE', 'UPDATE'];
+
+export const ATOMIC_MODES = ['NONE', 'ALL'];
+
+export const buildMetadataImportUrl = ({ importStrategy, atomicMode, dryRun }) =>
+  `/metadata?importStrategy=${importStrategy}&atomicMode=${atomicMode}&dryRun=${dryRun}`;
+
+// DHIS2 2.38+ wraps the import report in `response`, older versions return it directly
+const unwrapReport = (data) => (data?.response?.typeReports ? data.response : data) || {};
+
+const findUserReport = (report) => (report.typeReports || []).find(type => /User$/.test(type.klass || '')) || {};
+
+// Maps an /api/metadata import report back onto the users that were sent, by object index
+export const parseImportReport = (data, batch, atomicMode = 'NONE') => {
+  const report = unwrapReport(data);
+  const userReport = findUserReport(report);
+  const errorsByIndex = {};
+
+  (userReport.objectReports || []).forEach(objectReport => {
+    const messages = (objectReport.errorReports || []).map(error => error.message).filter(Boolean);
+    if (messages.length) errorsByIndex[objectReport.index] = messages;
+  });
+
+  const failedBatch = report.status === 'ERROR' && (atomicMode === 'ALL' || Object.keys(errorsByIndex).length === 0);
+
+  return batch.map((user, index) => {
+    if (errorsByIndex[index]) return { user, success: false, errors: errorsByIndex[index] };
+    if (failedBatch) return { user, success: false, errors: ['Batch rejected by server (atomic import)'] };
+    return { user, success: true, errors: [] };
+  });
+};
+
+// What the server actually did with the users; a row that sent an id may still have been created
+export const importReportStats = (data) => {
+  const { stats = {} } = findUserReport(unwrapReport(data));
+  return {
+    created: stats.created || 0,
+    updated: stats.updated || 0,
+    ignored: stats.ignored || 0,
+  };
+};
+
+export const hasImportReport = (data) => Boolean(unwrapReport(data).typeReports);
@@ -0,0 +1,44 @@
+import { parseImportReport, hasImportReport, importReportStats } from './metadataImport';
+
+const batch = [{ username: 'a' }, { username: 'b' }];
+
+const report = (status, objectReports) => ({
+  response: {
+    status,
+    typeReports: [{ klass: 'org.hisp.dhis.user.User', objectReports }],
+  },
+});
+
+test('maps object error reports to the users at the same index', () => {
+  const data = report('ERROR', [
+    { index: 1, errorReports: [{ message: 'Invalid reference [xyz]' }] },
+  ]);
+
+  expect(hasImportReport(data)).toBe(true);
+  expect(parseImportReport(data, batch)).toEqual([
+    { user: batch[0], success: true, errors: [] },
+    { user: batch[1], success: false, errors: ['Invalid reference [xyz]'] },
+  ]);
+});
+
+test('fails the whole batch in atomic mode', () => {
+  const data = report('ERROR', [{ index: 0, errorReports: [{ message: 'Bad' }] }]);
+  const results = parseImportReport(data, batch, 'ALL');
+
+  expect(results.map(r => r.success)).toEqual([false, false]);
+});
+
+test('reads unwrapped reports from older servers', () => {
+  const data = { status: 'OK', typeReports: [{ klass: 'org.hisp.dhis.user.User', objectReports: [] }] };
+
+  expect(parseImportReport(data, batch).every(r => r.success)).toBe(true);
+});
+
+test('reads created and updated counts from the user type report', () => {
+  const data = report('OK', []);
+  data.response.typeReports[0].stats = { created: 1, updated: 1, deleted: 0, ignored: 0, total: 2 };
+  data.response.typeReports.push({ klass: 'org.hisp.dhis.user.UserRole', stats: { created: 5 } });
+
+  expect(importReportStats(data)).toEqual({ created: 1, updated: 1, ignored: 0 });
+  expect(importReportStats({})).toEqual({ created: 0, updated: 0, ignored: 0 });
+});
@@ -0,0 +1,40 @@
+// Before-snapshots of users taken ahead of every mutating request, so a change can be undone
+export const JOURNAL_OPERATIONS = {
+  update: 'Update',
+  delete: 'Delete',
+  password: 'Password change',
+};
+
+// How many entries the journal card lists; the backup file always has all of them
+export const JOURNAL_DISPLAY_LIMIT = 200;
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// Keeps ids unique when the same user gets the same operation twice within a millisecond
+let entryCount = 0;
+
+export const createJournalEntry = (operation, snapshot, now = new Date()) => ({
+  id: `${now.getTime()}-${++entryCount}-${operation}-${snapshot.id}`,
+  operation,
+  userId: snapshot.id,
+  username: String(snapshot.username ?? snapshot.userCredentials?.username ?? ''),
+  timestamp: now.toISOString(),
+  snapshot: copy(snapshot),
+  undoneAt: null,
+});
+
+export const sortJournal = (entries) => [...entries].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+// The server never returns passwords, so a deleted user is recreated with a new one.
+// Updates and password changes put the snapshot back as it was, which leaves the current password in place.
+export const buildRestorePayload = (entry, password) => {
+  const payload = copy(entry.snapshot);
+  if (entry.operation === 'delete') {
+    payload.password = password;
+    if (payload.userCredentials) payload.userCredentials.password = password;
+  }
+  return payload;
+};
+
+export const buildJournalBackup = (entries, now = new Date()) =>
+  JSON.stringify({ exportedAt: now.toISOString(), entries: sortJournal(entries) }, null, 2);
@@ -0,0 +1,48 @@
+import { createJournalEntry, buildRestorePayload, sortJournal, buildJournalBackup } from './operationJournal';
+
+const snapshot = {
+  id: 'xE7jOejl9FI',
+  username: 'admin2',
+  userRoles: [{ id: 'KBkjSGFKSKI' }],
+  userCredentials: { username: 'admin2' },
+};
+
+test('keeps a copy of the user as it was before the change', () => {
+  const user = JSON.parse(JSON.stringify(snapshot));
+  const entry = createJournalEntry('update', user, new Date('2026-01-02T03:04:05Z'));
+  user.userRoles = [];
+
+  expect(entry).toMatchObject({
+    operation: 'update',
+    userId: 'xE7jOejl9FI',
+    username: 'admin2',
+    timestamp: '2026-01-02T03:04:05.000Z',
+    undoneAt: null,
+  });
+  expect(entry.snapshot.userRoles).toEqual([{ id: 'KBkjSGFKSKI' }]);
+});
+
+test('gives every entry its own id, even within the same millisecond', () => {
+  const now = new Date('2026-01-02T03:04:05Z');
+  const first = createJournalEntry('update', snapshot, now);
+  const second = createJournalEntry('update', snapshot, now);
+
+  expect(first.id).not.toBe(second.id);
+});
+
+test('recreates deleted users with a new password and the same id', () => {
+  const restored = buildRestorePayload(createJournalEntry('delete', snapshot), 'Temp123@');
+
+  expect(restored.id).toBe('xE7jOejl9FI');
+  expect(restored.password).toBe('Temp123@');
+  expect(restored.userCredentials.password).toBe('Temp123@');
+  expect(buildRestorePayload(createJournalEntry('update', snapshot), 'ignored')).not.toHaveProperty('password');
+});
+
+test('lists and backs up the newest entries first', () => {
+  const older = createJournalEntry('update', snapshot, new Date('2026-01-01T00:00:00Z'));
+  const newer = createJournalEntry('delete', snapshot, new Date('2026-01-02T00:00:00Z'));
+
+  expect(sortJournal([older, newer])).toEqual([newer, older]);
+  expect(JSON.parse(buildJournalBackup([older, newer])).entries.map(e => e.operation)).toEqual(['delete', 'update']);
+});
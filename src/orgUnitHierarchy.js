@@ -0,0 +1,32 @@
+// Export columns for each org unit hierarchy level, named after the instance's organisationUnitLevels
+export const LEVEL_COLUMN_VARIANTS = [
+  { suffix: '', label: '', key: 'name' },
+  { suffix: 'Code', label: ' Code', key: 'code' },
+  { suffix: 'UID', label: ' UID', key: 'id' },
+];
+
+export const levelColumnId = (level, suffix = '') => `level${level}${suffix}`;
+
+export const buildLevelColumns = (levels) => levels.flatMap(({ level, displayName }) =>
+  LEVEL_COLUMN_VARIANTS.map(variant => ({
+    id: levelColumnId(level, variant.suffix),
+    label: `${displayName || `Level ${level}`}${variant.label}`,
+  })));
+
+// Ancestors come root first; the level falls back to the position in the chain
+const hierarchyChain = (ou) => [...(ou.ancestors || []), ou].map((unit, i) => ({ ...unit, level: unit.level ?? i + 1 }));
+
+export const orgUnitPath = (ou) => [...(ou.ancestors || []), ou].map(unit => unit.name).join(' > ');
+
+// A user can be assigned to several org units, so each column lists the distinct values joined with " | "
+export const flattenOrgUnitLevels = (orgUnits = []) => {
+  const values = {};
+  orgUnits.forEach(ou => hierarchyChain(ou).forEach(unit => {
+    LEVEL_COLUMN_VARIANTS.forEach(({ suffix, key }) => {
+      const id = levelColumnId(unit.level, suffix);
+      values[id] = values[id] || [];
+      if (unit[key] && !values[id].includes(unit[key])) values[id].push(unit[key]);
+    });
+  }));
+  return Object.fromEntries(Object.entries(values).map(([id, list]) => [id, list.join(' | ')]));
+};
@@ -0,0 +1,32 @@
+import { buildLevelColumns, flattenOrgUnitLevels, orgUnitPath } from './orgUnitHierarchy';
+
+const nigeria = { id: 'zYfFqvNO1Dz', code: 'NG', name: 'Nigeria', level: 1 };
+const ebonyi = { id: 'wRQIw3NMW29', code: 'EB', name: 'Ebonyi', level: 2 };
+const school = { id: 'wMcSLrAHchs', code: 'SCH-1', name: 'JSS Abakaliki', level: 3, ancestors: [nigeria, ebonyi] };
+const state = { ...ebonyi, ancestors: [nigeria] };
+
+test('names columns after the hierarchy levels', () => {
+  expect(buildLevelColumns([{ level: 1, displayName: 'Country' }, { level: 2 }])).toEqual([
+    { id: 'level1', label: 'Country' },
+    { id: 'level1Code', label: 'Country Code' },
+    { id: 'level1UID', label: 'Country UID' },
+    { id: 'level2', label: 'Level 2' },
+    { id: 'level2Code', label: 'Level 2 Code' },
+    { id: 'level2UID', label: 'Level 2 UID' },
+  ]);
+});
+
+test('fills level columns for org units at any depth', () => {
+  expect(flattenOrgUnitLevels([school, state])).toEqual({
+    level1: 'Nigeria',
+    level1Code: 'NG',
+    level1UID: 'zYfFqvNO1Dz',
+    level2: 'Ebonyi',
+    level2Code: 'EB',
+    level2UID: 'wRQIw3NMW29',
+    level3: 'JSS Abakaliki',
+    level3Code: 'SCH-1',
+    level3UID: 'wMcSLrAHchs',
+  });
+  expect(orgUnitPath(state)).toBe('Nigeria > Ebonyi');
+});
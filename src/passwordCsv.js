@@ -0,0 +1,56 @@
+import Papa from 'papaparse';
+import { UID_PATTERN } from './referenceValidation';
+import { checkPassword } from './passwordPolicy';
+
+export const PASSWORD_CSV_COLUMNS = ['username', 'new_password', 'user_role_ids'];
+
+// replace: the listed roles become the user's only roles; add: they are added to the current ones
+export const ROLE_MODES = ['add', 'replace'];
+
+// Role ids may be separated by commas (inside a quoted cell) or semicolons
+const parseRoleIds = (cell) =>
+  String(cell || '').split(/[,;]/).map(id => id.trim()).filter(Boolean);
+
+// Returns [{ row, username, newPassword, userRoles, errors }]; rows with errors are shown but never run
+export const parsePasswordCSV = (text) => {
+  const result = Papa.parse(text.trim(), {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: header => header.trim().toLowerCase(),
+  });
+  const missing = PASSWORD_CSV_COLUMNS.slice(0, 2).filter(column => !(result.meta.fields || []).includes(column));
+  if (missing.length) throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+
+  return result.data.map((row, index) => {
+    const user = {
+      row: index + 2,
+      username: String(row.username ?? '').trim(),
+      newPassword: row.new_password ?? '',
+      userRoles: parseRoleIds(row.user_role_ids).map(id => ({ id })),
+    };
+    return { ...user, errors: passwordRowErrors(user) };
+  });
+};
+
+// Also used after generated passwords have filled in the blanks
+export const passwordRowErrors = ({ username, newPassword, userRoles }) => {
+  const errors = [];
+  if (!username) errors.push('Username is missing');
+  if (!newPassword) errors.push('Password is missing');
+  userRoles.filter(role => !UID_PATTERN.test(role.id)).forEach(role => errors.push(`"${role.id}" is not a valid role UID`));
+  return errors;
+};
+
+// Parse problems plus the policy check, which may only be known after the file was read
+export const passwordRowProblems = (row, policy) => [
+  ...row.errors,
+  ...(row.newPassword ? checkPassword(row.newPassword, row.username, policy) : []),
+];
+
+// An empty role list leaves the user's roles untouched in either mode
+export const applyRoleChanges = (currentRoles = [], roles = [], mode = 'add') => {
+  if (!roles.length) return currentRoles;
+  if (mode === 'replace') return roles;
+  const known = new Set(currentRoles.map(role => role.id));
+  return [...currentRoles, ...roles.filter(role => !known.has(role.id))];
+};
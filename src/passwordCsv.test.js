@@ -0,0 +1,37 @@
+import { parsePasswordCSV, passwordRowProblems, applyRoleChanges } from './passwordCsv';
+
+test('keeps every role id from a quoted cell', () => {
+  const rows = parsePasswordCSV('username,new_password,user_role_ids\n1090002,Obii123@333,"KBkjSGFKSKI,oO6BBApzmHZ"');
+  expect(rows).toEqual([{
+    row: 2,
+    username: '1090002',
+    newPassword: 'Obii123@333',
+    userRoles: [{ id: 'KBkjSGFKSKI' }, { id: 'oO6BBApzmHZ' }],
+    errors: [],
+  }]);
+});
+
+test('uses headers instead of column positions', () => {
+  const [row] = parsePasswordCSV('New_Password, Username\n"pa,ss",jdoe');
+  expect(row).toMatchObject({ username: 'jdoe', newPassword: 'pa,ss', userRoles: [], errors: [] });
+});
+
+test('flags incomplete rows and rejects files without the required columns', () => {
+  const [row] = parsePasswordCSV('username,new_password,user_role_ids\njdoe,,bad-id');
+  expect(row.errors).toEqual(['Password is missing', '"bad-id" is not a valid role UID']);
+  expect(() => parsePasswordCSV('user,password\njdoe,x')).toThrow('Missing columns: username, new_password');
+});
+
+test('adds to or replaces the current roles', () => {
+  const current = [{ id: 'KBkjSGFKSKI' }];
+  const roles = [{ id: 'KBkjSGFKSKI' }, { id: 'oO6BBApzmHZ' }];
+  expect(applyRoleChanges(current, roles, 'add')).toEqual(roles);
+  expect(applyRoleChanges(current, [{ id: 'oO6BBApzmHZ' }], 'replace')).toEqual([{ id: 'oO6BBApzmHZ' }]);
+  expect(applyRoleChanges(current, [], 'replace')).toBe(current);
+});
+
+test('adds policy problems to the parse errors', () => {
+  const [weak, missing] = parsePasswordCSV('username,new_password\njdoe,Jdoe1234!\nabee,');
+  expect(passwordRowProblems(weak, { minLength: 8, maxLength: 72 })).toEqual(['Must not contain the username']);
+  expect(passwordRowProblems(missing, { minLength: 8, maxLength: 72 })).toEqual(['Password is missing']);
+});
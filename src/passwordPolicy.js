@@ -0,0 +1,64 @@
+// DHIS2 always requires an uppercase letter, a digit and a special character and rejects
+// passwords containing the username; only the length limits come from /systemSettings
+export const DEFAULT_PASSWORD_POLICY = { minLength: 8, maxLength: 72 };
+
+// Setting names as stored by DHIS2 (SettingKey.MIN_PASSWORD_LENGTH / MAX_PASSWORD_LENGTH)
+export const PASSWORD_SETTING_KEYS = ['minPasswordLength', 'maxPasswordLength'];
+
+export const policyFromSettings = (settings = {}) => ({
+  minLength: Number(settings.minPasswordLength) || DEFAULT_PASSWORD_POLICY.minLength,
+  maxLength: Number(settings.maxPasswordLength) || DEFAULT_PASSWORD_POLICY.maxLength,
+});
+
+// Returns the rules the password breaks, in the order DHIS2 reports them
+export const checkPassword = (password, username, policy = DEFAULT_PASSWORD_POLICY) => {
+  const value = String(password ?? '');
+  const problems = [];
+  if (value.length < policy.minLength) problems.push(`At least ${policy.minLength} characters`);
+  if (value.length > policy.maxLength) problems.push(`At most ${policy.maxLength} characters`);
+  if (!/[A-Z]/.test(value)) problems.push('Needs an uppercase letter');
+  if (!/[0-9]/.test(value)) problems.push('Needs a digit');
+  if (!/[^A-Za-z0-9]/.test(value)) problems.push('Needs a special character');
+  if (username && value.toLowerCase().includes(String(username).toLowerCase())) problems.push('Must not contain the username');
+  return problems;
+};
+
+// Look-alike characters (l, 1, I, O, 0) are left out so printed slips can be typed without guessing
+const CHARACTER_SETS = ['abcdefghijkmnopqrstuvwxyz', 'ABCDEFGHJKLMNPQRSTUVWXYZ', '23456789', '!@#$%&*?-_=+'];
+const GENERATED_LENGTH = 12;
+const MAX_ATTEMPTS = 10;
+
+const secureRandomInts = (count) => window.crypto.getRandomValues(new Uint32Array(count));
+
+// One character from every set, the rest from all of them, shuffled with the same random source
+export const generatePassword = (policy = DEFAULT_PASSWORD_POLICY, username = '', randomInts = secureRandomInts) => {
+  if (policy.minLength > policy.maxLength) {
+    throw new Error(`The password policy asks for at least ${policy.minLength} but at most ${policy.maxLength} characters`);
+  }
+  const length = Math.min(Math.max(policy.minLength, GENERATED_LENGTH), policy.maxLength);
+  const all = CHARACTER_SETS.join('');
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const values = randomInts(length * 2);
+    const chars = CHARACTER_SETS.map((set, i) => set[values[i] % set.length]);
+    for (let i = chars.length; i < length; i++) chars.push(all[values[i] % all.length]);
+    for (let i = chars.length - 1; i > 0; i--) {
+      const j = values[length + i] % (i + 1);
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    const password = chars.join('');
+    if (!checkPassword(password, username, policy).length) return password;
+  }
+  throw new Error(`Could not generate a password for ${username} that meets the policy`);
+};
+
+// field is 'password' for import rows and 'newPassword' for password CSV rows
+export const fillPasswords = (rows, field, { all = false } = {}, policy = DEFAULT_PASSWORD_POLICY, randomInts = secureRandomInts) => {
+  let count = 0;
+  const filled = rows.map(row => {
+    if (!all && row[field]) return row;
+    count++;
+    return { ...row, [field]: generatePassword(policy, row.username, randomInts) };
+  });
+  return { rows: filled, count };
+};
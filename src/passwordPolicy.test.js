@@ -0,0 +1,48 @@
+import { policyFromSettings, checkPassword, generatePassword, fillPasswords, DEFAULT_PASSWORD_POLICY } from './passwordPolicy';
+
+// Deterministic stand-in for crypto.getRandomValues
+const sequence = () => {
+  let next = 7;
+  return (count) => Array.from({ length: count }, () => (next = (next * 1103515245 + 12345) % 2147483648));
+};
+
+test('reads the length limits from a /systemSettings response', () => {
+  // GET /api/systemSettings?key=minPasswordLength&key=maxPasswordLength
+  const response = { minPasswordLength: 10, maxPasswordLength: 40 };
+  expect(policyFromSettings(response)).toEqual({ minLength: 10, maxLength: 40 });
+  expect(policyFromSettings({})).toEqual(DEFAULT_PASSWORD_POLICY);
+});
+
+test('lists every rule a password breaks', () => {
+  expect(checkPassword('Obii123@333', '1090002')).toEqual([]);
+  expect(checkPassword('jdoe', 'jdoe', { minLength: 8, maxLength: 72 })).toEqual([
+    'At least 8 characters',
+    'Needs an uppercase letter',
+    'Needs a digit',
+    'Needs a special character',
+    'Must not contain the username',
+  ]);
+  expect(checkPassword('Passw0rd!JDoe', 'jdoe')).toEqual(['Must not contain the username']);
+});
+
+test('generates passwords that pass the policy', () => {
+  const policy = { minLength: 16, maxLength: 72 };
+  const password = generatePassword(policy, 'jdoe', sequence());
+  expect(password).toHaveLength(16);
+  expect(checkPassword(password, 'jdoe', policy)).toEqual([]);
+});
+
+test('refuses a policy no password can meet', () => {
+  expect(() => generatePassword({ minLength: 20, maxLength: 12 }, 'jdoe', sequence())).toThrow('at least 20 but at most 12');
+});
+
+test('fills blank passwords or replaces all of them', () => {
+  const rows = [{ username: 'a', password: 'Keep1234!' }, { username: 'b', password: '' }];
+
+  const blank = fillPasswords(rows, 'password', {}, DEFAULT_PASSWORD_POLICY, sequence());
+  expect(blank.count).toBe(1);
+  expect(blank.rows[0]).toBe(rows[0]);
+  expect(checkPassword(blank.rows[1].password, 'b')).toEqual([]);
+
+  expect(fillPasswords(rows, 'password', { all: true }, DEFAULT_PASSWORD_POLICY, sequence()).count).toBe(2);
+});
@@ -0,0 +1,81 @@
+import { REFERENCE_FIELDS, UID_PATTERN } from './referenceValidation';
+
+// Values that can't be sent inside a DHIS2 `in:[...]` filter and need a single-value lookup
+export const isListSafe = (value) => !/[,[\]]/.test(value);
+
+const CANDIDATE_FIELDS = 'fields=id,name,code&paging=false';
+
+// Bulk lookups by UID, code or exact name for values that fit in an `in:[...]` list
+export const candidateListQueries = (endpoint, values, chunkSize = 50) => {
+  const safe = values.filter(isListSafe);
+  const queries = [];
+  for (let i = 0; i < safe.length; i += chunkSize) {
+    const list = `[${safe.slice(i, i + chunkSize).map(encodeURIComponent).join(',')}]`;
+    queries.push(`${endpoint}?filter=id:in:${list}&filter=code:in:${list}&filter=name:in:${list}&rootJunction=OR&${CANDIDATE_FIELDS}`);
+  }
+  return queries;
+};
+
+// DHIS2's `in` and `eq` name filters are case-sensitive, so a name typed in a different case is
+// looked up with `ilike` (case-insensitive, substring) and matchReference picks the exact match
+export const candidateLookupQuery = (endpoint, value) => {
+  const encoded = encodeURIComponent(value);
+  return `${endpoint}?filter=code:eq:${encoded}&filter=name:ilike:${encoded}&rootJunction=OR&${CANDIDATE_FIELDS}`;
+};
+
+// Values the bulk lookup could not answer: list-unsafe ones and names that may differ only in case
+export const valuesNeedingLookup = (values, candidates) =>
+  values.filter(value => !isListSafe(value) || matchReference(value, candidates).status === 'missing');
+
+export const hasUnresolvedReferences = (users) =>
+  users.some(user => Object.keys(REFERENCE_FIELDS).some(field => (user[field] || []).some(ref => ref?.ref !== undefined)));
+
+// Returns { endpoint: [values] } for every name, code or UID that still needs resolving
+export const collectUnresolved = (users) => {
+  const result = {};
+  users.forEach(user => {
+    Object.entries(REFERENCE_FIELDS).forEach(([field, endpoint]) => {
+      (user[field] || []).forEach(ref => {
+        if (ref?.ref === undefined) return;
+        result[endpoint] = result[endpoint] || [];
+        if (!result[endpoint].includes(ref.ref)) result[endpoint].push(ref.ref);
+      });
+    });
+  });
+  return result;
+};
+
+// A UID match wins over a code match, which wins over a (case-insensitive) name match
+export const matchReference = (value, candidates) => {
+  const byId = UID_PATTERN.test(value) ? candidates.filter(c => c.id === value) : [];
+  const byCode = candidates.filter(c => c.code && c.code === value);
+  const byName = candidates.filter(c => c.name?.toLowerCase() === value.toLowerCase());
+  const matches = [byId, byCode, byName].find(list => list.length) || [];
+
+  if (matches.length === 1) return { status: 'resolved', id: matches[0].id };
+  if (matches.length > 1) return { status: 'ambiguous', matches };
+  return { status: 'missing', matches: [] };
+};
+
+// resolutions is { endpoint: { value: matchReference result } }
+export const applyResolution = (users, resolutions) => {
+  const problems = {};
+  const resolvedUsers = users.map((user, index) => {
+    const next = { ...user };
+    Object.entries(REFERENCE_FIELDS).forEach(([field, endpoint]) => {
+      if (!user[field]) return;
+      next[field] = user[field].map(ref => {
+        if (ref?.ref === undefined) return ref;
+        const resolution = resolutions[endpoint]?.[ref.ref] || { status: 'missing', matches: [] };
+        if (resolution.status === 'resolved') return { id: resolution.id };
+
+        const key = `${field}:${ref.ref}`;
+        problems[key] = problems[key] || { field, value: ref.ref, status: resolution.status, matches: resolution.matches, rows: [] };
+        problems[key].rows.push(index + 1);
+        return ref;
+      });
+    });
+    return next;
+  });
+  return { users: resolvedUsers, problems: Object.values(problems) };
+};
@@ -0,0 +1,64 @@
+import { parseReferenceCell, parseEditedReferenceCell } from './convertCSVtoJSON';
+import {
+  collectUnresolved,
+  matchReference,
+  applyResolution,
+  hasUnresolvedReferences,
+  candidateListQueries,
+  candidateLookupQuery,
+  valuesNeedingLookup,
+} from './referenceResolution';
+
+const candidates = [
+  { id: 'KBkjSGFKSKI', name: 'Data Entry', code: 'DE' },
+  { id: 'oO6BBApzmHZ', name: 'Teacher' },
+  { id: 'U8WuGyxfFFp', name: 'Teacher' },
+];
+
+test('parses JSON arrays and semicolon-separated names', () => {
+  expect(parseReferenceCell('[{"id": "KBkjSGFKSKI"}]')).toEqual([{ id: 'KBkjSGFKSKI' }]);
+  expect(parseReferenceCell(' Data Entry; Teacher ;')).toEqual([{ ref: 'Data Entry' }, { ref: 'Teacher' }]);
+  expect(parseReferenceCell('')).toEqual([]);
+});
+
+test('matches by UID, code or name and reports ambiguity', () => {
+  expect(matchReference('KBkjSGFKSKI', candidates)).toEqual({ status: 'resolved', id: 'KBkjSGFKSKI' });
+  expect(matchReference('DE', candidates)).toEqual({ status: 'resolved', id: 'KBkjSGFKSKI' });
+  expect(matchReference('data entry', candidates)).toEqual({ status: 'resolved', id: 'KBkjSGFKSKI' });
+  expect(matchReference('Teacher', candidates).status).toBe('ambiguous');
+  expect(matchReference('Nurse', candidates).status).toBe('missing');
+});
+
+test('replaces resolved names and keeps the unresolved ones', () => {
+  const users = [{ username: 'a', userRoles: [{ ref: 'DE' }, { ref: 'Teacher' }], organisationUnits: [{ id: 'wRQIw3NMW29' }] }];
+  expect(collectUnresolved(users)).toEqual({ userRoles: ['DE', 'Teacher'] });
+
+  const resolutions = { userRoles: { DE: matchReference('DE', candidates), Teacher: matchReference('Teacher', candidates) } };
+  const { users: resolved, problems } = applyResolution(users, resolutions);
+
+  expect(resolved[0].userRoles).toEqual([{ id: 'KBkjSGFKSKI' }, { ref: 'Teacher' }]);
+  expect(hasUnresolvedReferences(resolved)).toBe(true);
+  expect(problems).toEqual([
+    { field: 'userRoles', value: 'Teacher', status: 'ambiguous', matches: candidates.slice(1), rows: [1] },
+  ]);
+});
+
+test('keeps already resolved ids when a reference cell is edited', () => {
+  expect(parseEditedReferenceCell('KBkjSGFKSKI; Teacher', [{ id: 'KBkjSGFKSKI' }])).toEqual([
+    { id: 'KBkjSGFKSKI' },
+    { ref: 'Teacher' },
+  ]);
+});
+
+test('looks up names in a different case with a case-insensitive filter', () => {
+  expect(candidateListQueries('userRoles', ['DE', 'data entry', 'A, B'])).toEqual([
+    'userRoles?filter=id:in:[DE,data%20entry]&filter=code:in:[DE,data%20entry]&filter=name:in:[DE,data%20entry]&rootJunction=OR&fields=id,name,code&paging=false',
+  ]);
+
+  // The exact-case `in` query only returned the code match, as a DHIS2 server would
+  const bulk = [{ id: 'KBkjSGFKSKI', name: 'Data Entry', code: 'DE' }];
+  expect(valuesNeedingLookup(['DE', 'Teacher', 'A, B'], bulk)).toEqual(['Teacher', 'A, B']);
+  expect(candidateLookupQuery('userRoles', 'data entry')).toBe(
+    'userRoles?filter=code:eq:data%20entry&filter=name:ilike:data%20entry&rootJunction=OR&fields=id,name,code&paging=false'
+  );
+});
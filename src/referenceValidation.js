@@ -0,0 +1,70 @@
+export const UID_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{10}$/;
+
+// User fields holding metadata references, and the endpoint each one resolves against
+export const REFERENCE_FIELDS = {
+  userRoles: 'userRoles',
+  organisationUnits: 'organisationUnits',
+  dataViewOrganisationUnits: 'organisationUnits',
+  teiSearchOrganisationUnits: 'organisationUnits',
+  userGroups: 'userGroups',
+  catDimensionConstraints: 'categories',
+  cogsDimensionConstraints: 'categoryOptionGroupSets',
+};
+
+// Rows are reported 1-based, matching what users see in their spreadsheet
+const addRow = (map, key, row) => {
+  map[key] = map[key] || [];
+  if (!map[key].includes(row)) map[key].push(row);
+};
+
+// Returns { field: { id: [rows] } } for every reference field in the file
+export const collectReferences = (users) => {
+  const references = {};
+  Object.keys(REFERENCE_FIELDS).forEach(field => { references[field] = {}; });
+
+  users.forEach((user, index) => {
+    Object.keys(REFERENCE_FIELDS).forEach(field => {
+      (user[field] || []).forEach(ref => addRow(references[field], String(ref?.id ?? ref?.ref ?? ''), index + 1));
+    });
+  });
+  return references;
+};
+
+// Returns { endpoint: [ids] } with only well-formed UIDs, ready for bulk lookup
+export const idsByEndpoint = (references) => {
+  const result = {};
+  Object.entries(references).forEach(([field, ids]) => {
+    const endpoint = REFERENCE_FIELDS[field];
+    result[endpoint] = result[endpoint] || [];
+    Object.keys(ids).forEach(id => {
+      if (UID_PATTERN.test(id) && !result[endpoint].includes(id)) result[endpoint].push(id);
+    });
+  });
+  return result;
+};
+
+export const findDuplicateUsernames = (users) => {
+  const rowsByUsername = {};
+  users.forEach((user, index) => {
+    if (user.username !== undefined && user.username !== '') addRow(rowsByUsername, String(user.username), index + 1);
+  });
+  return Object.entries(rowsByUsername)
+    .filter(([, rows]) => rows.length > 1)
+    .map(([username, rows]) => ({ type: 'duplicate', field: 'username', value: username, rows }));
+};
+
+// knownIds is { endpoint: Set } of ids confirmed to exist on the server
+export const findReferenceIssues = (references, knownIds) => {
+  const issues = [];
+  Object.entries(references).forEach(([field, ids]) => {
+    const known = knownIds[REFERENCE_FIELDS[field]] || new Set();
+    Object.entries(ids).forEach(([id, rows]) => {
+      if (!UID_PATTERN.test(id)) {
+        issues.push({ type: 'invalid', field, value: id, rows });
+      } else if (!known.has(id)) {
+        issues.push({ type: 'unknown', field, value: id, rows });
+      }
+    });
+  });
+  return issues;
+};
@@ -0,0 +1,34 @@
+import { collectReferences, idsByEndpoint, findDuplicateUsernames, findReferenceIssues } from './referenceValidation';
+
+const users = [
+  { username: 'a', userRoles: [{ id: 'KBkjSGFKSKI' }], organisationUnits: [{ id: 'wRQIw3NMW29' }] },
+  { username: 'a', userRoles: [{ id: 'bad-uid' }], dataViewOrganisationUnits: [{ id: 'AVEyJypVCjJ' }] },
+];
+
+test('groups well-formed ids by endpoint', () => {
+  expect(idsByEndpoint(collectReferences(users))).toEqual({
+    userRoles: ['KBkjSGFKSKI'],
+    organisationUnits: ['wRQIw3NMW29', 'AVEyJypVCjJ'],
+    userGroups: [],
+    categories: [],
+    categoryOptionGroupSets: [],
+  });
+});
+
+test('flags duplicate usernames with their rows', () => {
+  expect(findDuplicateUsernames(users)).toEqual([
+    { type: 'duplicate', field: 'username', value: 'a', rows: [1, 2] },
+  ]);
+});
+
+test('reports malformed and unknown references', () => {
+  const issues = findReferenceIssues(collectReferences(users), {
+    userRoles: new Set(['KBkjSGFKSKI']),
+    organisationUnits: new Set(['wRQIw3NMW29']),
+  });
+
+  expect(issues).toEqual([
+    { type: 'invalid', field: 'userRoles', value: 'bad-uid', rows: [2] },
+    { type: 'unknown', field: 'dataViewOrganisationUnits', value: 'AVEyJypVCjJ', rows: [2] },
+  ]);
+});
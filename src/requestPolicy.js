@@ -0,0 +1,44 @@
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const MAX_RETRY_AFTER = 60000;
+
+// Timeouts and network failures have no response; 4xx other than 429 can never succeed on retry
+export const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (!status) return error.code !== 'ERR_CANCELED';
+  return RETRYABLE_STATUSES.includes(status);
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  const delay = Number.isNaN(seconds) ? new Date(value).getTime() - now : seconds * 1000;
+  return Number.isNaN(delay) ? null : Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+};
+
+export const getRetryDelay = (error, attempt, baseDelay = 1000) =>
+  parseRetryAfter(error.response?.headers?.['retry-after']) ?? baseDelay * Math.pow(2, attempt - 1);
+
+// Bounds for the adaptive batch size of each import engine
+export const CONCURRENCY_LIMITS = {
+  users: { min: 1, max: 20, initial: 2, targetLatency: 2000 },
+  metadata: { min: 25, max: 500, initial: 100, targetLatency: 20000 },
+};
+
+export const emptyRequestStats = () => ({ requests: 0, failures: 0, rateLimited: 0, totalLatency: 0 });
+
+export const summarizeRequestStats = ({ requests, failures, rateLimited, totalLatency }) => ({
+  avgLatency: requests ? Math.round(totalLatency / requests) : 0,
+  errorRate: requests ? failures / requests : 0,
+  rateLimited,
+});
+
+// Additive increase, multiplicative decrease: back off hard on throttling or errors,
+// slow down when the server gets sluggish, and grow one step at a time otherwise
+export const adjustConcurrency = (current, { avgLatency, errorRate, rateLimited }, { min, max, targetLatency }) => {
+  const step = Math.max(1, Math.round(min / 2));
+  if (rateLimited > 0 || errorRate > 0.2) return Math.max(min, Math.floor(current / 2));
+  if (avgLatency > targetLatency) return Math.max(min, current - step);
+  if (errorRate === 0) return Math.min(max, current + step);
+  return current;
+};
@@ -0,0 +1,28 @@
+import { isRetryable, parseRetryAfter, getRetryDelay, adjustConcurrency, CONCURRENCY_LIMITS } from './requestPolicy';
+
+const httpError = (status, headers = {}) => ({ response: { status, headers } });
+
+test('retries only timeouts, throttling and server errors', () => {
+  expect(isRetryable({ code: 'ECONNABORTED' })).toBe(true);
+  expect(isRetryable(httpError(429))).toBe(true);
+  expect(isRetryable(httpError(503))).toBe(true);
+  expect(isRetryable(httpError(400))).toBe(false);
+  expect(isRetryable(httpError(409))).toBe(false);
+});
+
+test('honours Retry-After in seconds or as a date', () => {
+  const now = Date.parse('2025-07-01T10:00:00Z');
+  expect(parseRetryAfter('5')).toBe(5000);
+  expect(parseRetryAfter('Tue, 01 Jul 2025 10:00:10 GMT', now)).toBe(10000);
+  expect(getRetryDelay(httpError(429, { 'retry-after': '2' }), 1)).toBe(2000);
+  expect(getRetryDelay(httpError(503), 3)).toBe(4000);
+});
+
+test('adapts concurrency to latency and errors', () => {
+  const limits = CONCURRENCY_LIMITS.users;
+  expect(adjustConcurrency(4, { avgLatency: 500, errorRate: 0, rateLimited: 0 }, limits)).toBe(5);
+  expect(adjustConcurrency(4, { avgLatency: 5000, errorRate: 0, rateLimited: 0 }, limits)).toBe(3);
+  expect(adjustConcurrency(8, { avgLatency: 500, errorRate: 0, rateLimited: 1 }, limits)).toBe(4);
+  expect(adjustConcurrency(1, { avgLatency: 500, errorRate: 0.5, rateLimited: 0 }, limits)).toBe(1);
+  expect(adjustConcurrency(20, { avgLatency: 500, errorRate: 0, rateLimited: 0 }, limits)).toBe(20);
+});
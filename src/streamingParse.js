@@ -0,0 +1,158 @@
+import Papa from 'papaparse';
+
+const CHUNK_SIZE = 1024 * 1024;
+const ROWS_PER_MESSAGE = 500;
+
+const toProgress = (bytes, total) => (total ? Math.min(100, Math.round((bytes / total) * 100)) : 100);
+
+// Streams CSV rows in chunks, parsed inside Papa Parse's own worker where the browser supports it
+export const streamCSV = (file, { onRows, onComplete, onError }) => {
+  let cancelled = false;
+  let failed = false;
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: true,
+    worker: Papa.WORKERS_SUPPORTED,
+    chunkSize: CHUNK_SIZE,
+    chunk: (results, parser) => {
+      if (cancelled || failed) {
+        parser.abort();
+        return;
+      }
+      try {
+        onRows(results.data, results.meta.fields || [], toProgress(results.meta.cursor, file.size));
+      } catch (error) {
+        failed = true;
+        onError(error);
+      }
+    },
+    complete: () => !cancelled && !failed && onComplete(),
+    error: (error) => !cancelled && onError(error),
+  });
+  // Papa Parse can only be aborted from inside a callback, so the next chunk stops the parser
+  return () => { cancelled = true; };
+};
+
+// Runs inside the worker, so it must not reference anything outside its own body.
+// Scans the top-level JSON array slice by slice and parses one user object at a time.
+// Exported for tests, which pass a stand-in for the worker scope.
+export function jsonArrayWorker(scope) {
+  scope.onmessage = function (event) {
+    var file = event.data.file;
+    var sliceSize = event.data.sliceSize;
+    var rowsPerMessage = event.data.rowsPerMessage;
+    var reader = new scope.FileReaderSync();
+    var decoder = new scope.TextDecoder();
+    var started = false;
+    var finished = false;
+    var depth = 0;
+    var inString = false;
+    var escaped = false;
+    var buffer = '';
+    var rows = [];
+    var count = 0;
+
+    var flush = function (offset) {
+      scope.postMessage({ type: 'rows', rows: rows, progress: Math.min(100, Math.round((offset / file.size) * 100)) });
+      rows = [];
+    };
+
+    try {
+      for (var offset = 0; offset < file.size && !finished; offset += sliceSize) {
+        var bytes = new Uint8Array(reader.readAsArrayBuffer(file.slice(offset, offset + sliceSize)));
+        var text = decoder.decode(bytes, { stream: offset + sliceSize < file.size });
+
+        for (var i = 0; i < text.length && !finished; i++) {
+          var ch = text[i];
+          if (!started) {
+            if (ch === '[') started = true;
+            else if (!/\s/.test(ch) && ch !== '\uFEFF') throw new Error('File should contain an array of users');
+            continue;
+          }
+          if (depth === 0) {
+            if (ch === ']') finished = true;
+            else if (ch === '{') { depth = 1; buffer = ch; }
+            else if (!/[\s,]/.test(ch)) throw new Error('File should contain an array of user objects');
+            continue;
+          }
+
+          buffer += ch;
+          if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+          } else if (ch === '"') {
+            inString = true;
+          } else if (ch === '{' || ch === '[') {
+            depth++;
+          } else if (ch === '}' || ch === ']') {
+            depth--;
+            if (depth === 0) {
+              rows.push(JSON.parse(buffer));
+              count++;
+              buffer = '';
+              if (rows.length >= rowsPerMessage) flush(offset + i);
+            }
+          }
+        }
+        if (rows.length) flush(Math.min(offset + sliceSize, file.size));
+      }
+      if (!started || !finished) throw new Error('File should contain an array of users');
+      scope.postMessage({ type: 'done', count: count });
+    } catch (error) {
+      scope.postMessage({ type: 'error', message: error.message });
+    }
+  };
+}
+
+const readJSONOnMainThread = (file, { onRows, onComplete, onError }) => {
+  const reader = new FileReader();
+  reader.onload = (event) => {
+    try {
+      const rows = JSON.parse(event.target.result);
+      if (!Array.isArray(rows)) throw new Error('File should contain an array of users');
+      onRows(rows, [], 100);
+      onComplete();
+    } catch (error) {
+      onError(error);
+    }
+  };
+  reader.onerror = () => onError(new Error('Failed to read file'));
+  reader.readAsText(file);
+  return () => reader.abort();
+};
+
+// Streams the users of a JSON array file from a worker, falling back to a plain read without workers
+export const streamJSON = (file, handlers) => {
+  if (typeof Worker === 'undefined' || typeof Blob === 'undefined') return readJSONOnMainThread(file, handlers);
+
+  const url = URL.createObjectURL(new Blob([`(${jsonArrayWorker.toString()})(self)`], { type: 'application/javascript' }));
+  const worker = new Worker(url);
+  const stop = () => {
+    worker.terminate();
+    URL.revokeObjectURL(url);
+  };
+
+  worker.onmessage = ({ data }) => {
+    try {
+      if (data.type === 'rows') {
+        handlers.onRows(data.rows, [], data.progress);
+      } else if (data.type === 'done') {
+        stop();
+        handlers.onComplete();
+      } else {
+        stop();
+        handlers.onError(new Error(data.message));
+      }
+    } catch (error) {
+      stop();
+      handlers.onError(error);
+    }
+  };
+  worker.onerror = (event) => {
+    stop();
+    handlers.onError(new Error(event.message || 'Worker failed to parse file'));
+  };
+  worker.postMessage({ file, sliceSize: CHUNK_SIZE, rowsPerMessage: ROWS_PER_MESSAGE });
+  return stop;
+};
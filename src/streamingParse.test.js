@@ -0,0 +1,69 @@
+import Papa from 'papaparse';
+import { TextDecoder, TextEncoder } from 'util';
+import { streamCSV, jsonArrayWorker } from './streamingParse';
+
+const collect = (stream, file) => new Promise((resolve, reject) => {
+  const rows = [];
+  stream(file, {
+    onRows: (chunk) => rows.push(...chunk),
+    onComplete: () => resolve(rows),
+    onError: reject,
+  });
+});
+
+// Runs the worker body against an in-memory file, with slices small enough to split tokens
+const scanJSON = (text, sliceSize = 7) => {
+  const bytes = new TextEncoder().encode(text);
+  const messages = [];
+  const scope = {
+    TextDecoder,
+    FileReaderSync: function () {
+      this.readAsArrayBuffer = (slice) => slice;
+    },
+    postMessage: (message) => messages.push(message),
+  };
+  jsonArrayWorker(scope);
+  scope.onmessage({ data: { file: { size: bytes.length, slice: (a, b) => bytes.slice(a, b) }, sliceSize, rowsPerMessage: 2 } });
+  return messages;
+};
+
+test('streams CSV rows with their headers', async () => {
+  const file = new File(['username,surname\njdoe,"Doe, J"\n\nabee,Bee\n'], 'users.csv');
+  expect(await collect(streamCSV, file)).toEqual([
+    { username: 'jdoe', surname: 'Doe, J' },
+    { username: 'abee', surname: 'Bee' },
+  ]);
+});
+
+test('aborts the CSV parser on the first chunk after a cancel', () => {
+  const spy = jest.spyOn(Papa, 'parse').mockImplementation(() => {});
+  const onRows = jest.fn();
+  const cancel = streamCSV({ size: 10 }, { onRows, onComplete: jest.fn(), onError: jest.fn() });
+  const config = spy.mock.calls[0][1];
+  const parser = { abort: jest.fn() };
+
+  cancel();
+  config.chunk({ data: [{ username: 'jdoe' }], meta: { fields: ['username'], cursor: 5 } }, parser);
+
+  expect(parser.abort).toHaveBeenCalled();
+  expect(onRows).not.toHaveBeenCalled();
+  spy.mockRestore();
+});
+
+test('scans a JSON array one user at a time across slice boundaries', () => {
+  const users = [
+    { username: 'jdoe', note: 'braces } and ] "quoted" in a string', userRoles: [{ id: 'KBkjSGFKSKI' }] },
+    { username: 'é ü', note: 'multi-byte characters split between slices' },
+    { username: 'abee' },
+  ];
+  const messages = scanJSON(`﻿  ${JSON.stringify(users, null, 2)}\n`);
+
+  expect(messages.filter(m => m.type === 'rows').flatMap(m => m.rows)).toEqual(users);
+  expect(messages[messages.length - 1]).toEqual({ type: 'done', count: 3 });
+});
+
+test('reports files that are not an array of users', () => {
+  expect(scanJSON('{"username": "jdoe"}').pop()).toEqual({ type: 'error', message: 'File should contain an array of users' });
+  expect(scanJSON('[1, 2]').pop()).toEqual({ type: 'error', message: 'File should contain an array of user objects' });
+  expect(scanJSON('[{"username": "jdoe"}').pop()).toEqual({ type: 'error', message: 'File should contain an array of users' });
+});
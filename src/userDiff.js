@@ -0,0 +1,102 @@
+export const SCALAR_FIELDS = ['firstName', 'surname'];
+
+export const COLLECTION_FIELDS = [
+  'userRoles',
+  'organisationUnits',
+  'dataViewOrganisationUnits',
+  'teiSearchOrganisationUnits',
+  'userGroups',
+];
+
+// Account attributes and dimension constraints are only compared when the uploaded row sets them
+export const OPTIONAL_SCALAR_FIELDS = ['email', 'phoneNumber', 'whatsApp', 'openId', 'ldapId', 'accountExpiry', 'disabled'];
+
+export const CONSTRAINT_FIELDS = ['catDimensionConstraints', 'cogsDimensionConstraints'];
+
+// Fields needed from /users/{id} to compare against an uploaded row
+export const DIFF_FIELDS = [
+  'id',
+  ...SCALAR_FIELDS,
+  'username',
+  ...OPTIONAL_SCALAR_FIELDS,
+  ...[...COLLECTION_FIELDS, ...CONSTRAINT_FIELDS].map(key => `${key}[id]`),
+  'attributeValues[value,attribute[id]]',
+].join(',');
+
+export const ASSIGNMENT_STRATEGIES = ['replace', 'merge', 'remove'];
+
+export const DEFAULT_ASSIGNMENT_STRATEGIES = Object.fromEntries(COLLECTION_FIELDS.map(key => [key, 'replace']));
+
+const toIds = (items) => (items || []).map(item => item?.id).filter(Boolean);
+
+// Expiry dates come back from the server with a time part, the file usually only has the date
+const comparable = (field, value) => {
+  const text = String(value ?? '');
+  return field === 'accountExpiry' ? text.slice(0, 10) : text;
+};
+
+const attributeMap = (values) => Object.fromEntries((values || []).map(av => [av.attribute?.id, String(av.value ?? '')]));
+
+// Replace uses the file as is, merge adds the file's items to the current ones, remove strips them
+export const applyAssignmentStrategy = (fileRefs, currentRefs, strategy = 'replace') => {
+  const next = toIds(fileRefs);
+  const current = toIds(currentRefs);
+  let ids = next;
+  if (strategy === 'merge') ids = [...current, ...next.filter(id => !current.includes(id))];
+  if (strategy === 'remove') ids = current.filter(id => !next.includes(id));
+  return ids.map(id => ({ id }));
+};
+
+// Returns the assignment collections to send for an existing user
+export const resolveAssignments = (fileUser, serverUser, strategies = DEFAULT_ASSIGNMENT_STRATEGIES) =>
+  Object.fromEntries(COLLECTION_FIELDS.map(key => [
+    key,
+    applyAssignmentStrategy(fileUser[key], serverUser?.[key], strategies[key]),
+  ]));
+
+export const usesReplaceOnly = (strategies) => COLLECTION_FIELDS.every(key => (strategies[key] || 'replace') === 'replace');
+
+export const diffUser = (fileUser, serverUser, strategies = DEFAULT_ASSIGNMENT_STRATEGIES) => {
+  if (!serverUser) return { action: 'create', fields: [], collections: {} };
+
+  const optionalFields = OPTIONAL_SCALAR_FIELDS.filter(field => fileUser[field] !== undefined);
+  const fields = [...SCALAR_FIELDS, ...optionalFields]
+    .filter(field => comparable(field, fileUser[field]) !== comparable(field, serverUser[field]))
+    .map(field => ({ field, from: serverUser[field] ?? '', to: fileUser[field] ?? '' }));
+
+  if (fileUser.attributeValues !== undefined) {
+    const current = attributeMap(serverUser.attributeValues);
+    Object.entries(attributeMap(fileUser.attributeValues)).forEach(([attribute, value]) => {
+      if ((current[attribute] ?? '') !== value) fields.push({ field: `attribute ${attribute}`, from: current[attribute] ?? '', to: value });
+    });
+  }
+
+  const assignments = resolveAssignments(fileUser, serverUser, strategies);
+  const collections = {};
+  COLLECTION_FIELDS.forEach(key => {
+    const next = toIds(assignments[key]);
+    const current = toIds(serverUser[key]);
+    const added = next.filter(id => !current.includes(id));
+    const removed = current.filter(id => !next.includes(id));
+    if (added.length || removed.length) collections[key] = { added, removed };
+  });
+  CONSTRAINT_FIELDS.filter(key => fileUser[key] !== undefined).forEach(key => {
+    const next = toIds(fileUser[key]);
+    const current = toIds(serverUser[key]);
+    const added = next.filter(id => !current.includes(id));
+    const removed = current.filter(id => !next.includes(id));
+    if (added.length || removed.length) collections[key] = { added, removed };
+  });
+
+  const changed = fields.length > 0 || Object.keys(collections).length > 0;
+  return { action: changed ? 'update' : 'unchanged', fields, collections };
+};
+
+export const summarizeDiff = ({ fields = [], collections = {} }) => [
+  ...fields.map(({ field, from, to }) => `${field}: "${from}" → "${to}"`),
+  ...Object.entries(collections).map(([key, { added, removed }]) => [
+    `${key}:`,
+    added.length ? `+${added.join(', +')}` : '',
+    removed.length ? `-${removed.join(', -')}` : '',
+  ].filter(Boolean).join(' ')),
+];
@@ -0,0 +1,65 @@
+import { diffUser, summarizeDiff, resolveAssignments } from './userDiff';
+
+const fileUser = {
+  firstName: 'PVT',
+  surname: 'Royal',
+  username: 12020407,
+  userRoles: [{ id: 'KBkjSGFKSKI' }],
+  organisationUnits: [{ id: 'wRQIw3NMW29' }],
+  userGroups: [{ id: 'U8WuGyxfFFp' }],
+};
+
+test('marks rows without a server user as create', () => {
+  expect(diffUser(fileUser, null).action).toBe('create');
+});
+
+test('marks identical rows as unchanged', () => {
+  expect(diffUser(fileUser, { ...fileUser, username: '12020407' }).action).toBe('unchanged');
+});
+
+test('lists changed fields and assignments', () => {
+  const diff = diffUser(fileUser, {
+    ...fileUser,
+    surname: 'Dominion',
+    userRoles: [{ id: 'oO6BBApzmHZ' }],
+  });
+
+  expect(diff.action).toBe('update');
+  expect(diff.fields).toEqual([{ field: 'surname', from: 'Dominion', to: 'Royal' }]);
+  expect(diff.collections.userRoles).toEqual({ added: ['KBkjSGFKSKI'], removed: ['oO6BBApzmHZ'] });
+  expect(summarizeDiff(diff)).toEqual([
+    'surname: "Dominion" → "Royal"',
+    'userRoles: +KBkjSGFKSKI -oO6BBApzmHZ',
+  ]);
+});
+
+test('merges or removes assignments instead of replacing them', () => {
+  const server = { ...fileUser, userRoles: [{ id: 'oO6BBApzmHZ' }], userGroups: [{ id: 'U8WuGyxfFFp' }, { id: 'Ca67o1mgiPn' }] };
+  const strategies = { userRoles: 'merge', userGroups: 'remove' };
+
+  expect(resolveAssignments(fileUser, server, strategies)).toMatchObject({
+    userRoles: [{ id: 'oO6BBApzmHZ' }, { id: 'KBkjSGFKSKI' }],
+    userGroups: [{ id: 'Ca67o1mgiPn' }],
+    organisationUnits: [{ id: 'wRQIw3NMW29' }],
+  });
+  expect(diffUser(fileUser, server, strategies).collections).toEqual({
+    userRoles: { added: ['KBkjSGFKSKI'], removed: [] },
+    userGroups: { added: [], removed: ['U8WuGyxfFFp'] },
+  });
+});
+
+test('compares account attributes only when the file sets them', () => {
+  const server = { ...fileUser, email: 'old@example.org', accountExpiry: '2026-12-31T00:00:00.000', phoneNumber: '+2547000' };
+  const withAttributes = {
+    ...fileUser,
+    email: 'new@example.org',
+    accountExpiry: '2026-12-31',
+    attributeValues: [{ attribute: { id: 'fYwKxPBfQMc' }, value: 'EMP-1' }],
+  };
+
+  expect(diffUser(fileUser, server).action).toBe('unchanged');
+  expect(diffUser(withAttributes, server).fields).toEqual([
+    { field: 'email', from: 'old@example.org', to: 'new@example.org' },
+    { field: 'attribute fYwKxPBfQMc', from: '', to: 'EMP-1' },
+  ]);
+});
@@ -0,0 +1,82 @@
+import Papa from 'papaparse';
+import { UID_PATTERN } from './referenceValidation';
+
+// Header cells recognised when a list file has a header row; anything else is treated as data
+const LIST_HEADERS = ['username', 'user', 'login', 'id', 'uid', 'userid'];
+
+// Reads a TXT (one value per line) or CSV list of usernames or UIDs. With a header row the
+// username or id column is used, otherwise the first column. Blanks and repeats are dropped.
+export const parseUserList = (text) => {
+  const rows = Papa.parse(text.trim(), { skipEmptyLines: true }).data;
+  if (!rows.length) return [];
+
+  const headers = rows[0].map(cell => String(cell).toLowerCase().replace(/[^a-z]/g, ''));
+  const column = headers.findIndex(header => LIST_HEADERS.includes(header));
+  const values = (column === -1 ? rows : rows.slice(1)).map(row => String(row[Math.max(column, 0)] ?? '').trim());
+  return [...new Set(values.filter(Boolean))];
+};
+
+export const isSuperuser = (user) =>
+  (user.userRoles || []).some(role => (role.authorities || []).includes('ALL'));
+
+// A value shaped like a UID is matched on id first, then on username
+const findUser = (identifier, users) =>
+  (UID_PATTERN.test(identifier) && users.find(user => user.id === identifier))
+  || users.find(user => String(user.username) === identifier);
+
+// Splits the list into users the action can run on, values with no account and protected accounts.
+// A username and a UID of the same account are kept as a duplicate so the action runs once.
+export const classifyUserList = (identifiers, users, currentUserId) => {
+  const result = { found: [], notFound: [], protected: [], duplicates: [] };
+  const firstIdentifier = new Map();
+
+  identifiers.forEach(identifier => {
+    const user = findUser(identifier, users);
+    if (!user) {
+      result.notFound.push(identifier);
+      return;
+    }
+    if (firstIdentifier.has(user.id)) {
+      result.duplicates.push({ identifier, user, duplicateOf: firstIdentifier.get(user.id) });
+      return;
+    }
+    firstIdentifier.set(user.id, identifier);
+    if (user.id === currentUserId) {
+      result.protected.push({ identifier, user, reason: 'Your own account' });
+    } else if (isSuperuser(user)) {
+      result.protected.push({ identifier, user, reason: 'Superuser (ALL authority)' });
+    } else {
+      result.found.push({ identifier, user });
+    }
+  });
+  return result;
+};
+
+// outcomes is { userId: true | false } for the users the action was run on
+export const buildListResultCSV = (resolution, outcomes, action) => {
+  const protectedIds = new Set(resolution.protected.map(({ user }) => user.id));
+  const statusOf = (user) => {
+    if (protectedIds.has(user.id)) return 'skipped';
+    const outcome = outcomes[user.id];
+    return outcome === undefined ? 'not run' : outcome ? action : 'failed';
+  };
+  return Papa.unparse({
+    fields: ['identifier', 'id', 'username', 'status', 'message'],
+    data: [
+      ...resolution.found.map(({ identifier, user }) => [
+        identifier, user.id, user.username, statusOf(user), outcomes[user.id] === false ? 'See the log for details' : '',
+      ]),
+      ...resolution.protected.map(({ identifier, user, reason }) => [identifier, user.id, user.username, 'skipped', reason]),
+      ...(resolution.duplicates || []).map(({ identifier, user, duplicateOf }) => [
+        identifier, user.id, user.username, statusOf(user), `Same account as ${duplicateOf}`,
+      ]),
+      ...resolution.notFound.map(identifier => [identifier, '', '', 'not found', 'No user with this username or UID']),
+    ],
+  });
+};
+
+// failures are [{ id, username, reason }]; the id column makes the file a valid list upload
+export const buildFailureListCSV = (failures) => Papa.unparse({
+  fields: ['id', 'username', 'reason'],
+  data: failures.map(({ id, username, reason }) => [id, username, reason || '']),
+});
@@ -0,0 +1,45 @@
+import { parseUserList, classifyUserList, buildListResultCSV, buildFailureListCSV } from './userList';
+
+const users = [
+  { id: 'KBkjSGFKSKI', username: 'jdoe', userRoles: [{ id: 'r1', authorities: ['F_USER_VIEW'] }] },
+  { id: 'wRQIw3NMW29', username: 'admin', userRoles: [{ id: 'r2', authorities: ['ALL'] }] },
+  { id: 'AVEyJypVCjJ', username: 'me', userRoles: [] },
+];
+
+test('reads a plain list one value per line', () => {
+  expect(parseUserList('jdoe\n\nadmin\r\njdoe\n')).toEqual(['jdoe', 'admin']);
+});
+
+test('uses the username or id column of a CSV with headers', () => {
+  expect(parseUserList('name,Username\n"Doe, John",jdoe\nAdmin,admin')).toEqual(['jdoe', 'admin']);
+  expect(parseUserList('KBkjSGFKSKI,extra\nwRQIw3NMW29,extra')).toEqual(['KBkjSGFKSKI', 'wRQIw3NMW29']);
+});
+
+test('separates found, missing and protected users', () => {
+  const result = classifyUserList(['jdoe', 'KBkjSGFKSKI', 'admin', 'AVEyJypVCjJ', 'ghost'], users, 'AVEyJypVCjJ');
+
+  expect(result.found).toEqual([{ identifier: 'jdoe', user: users[0] }]);
+  expect(result.notFound).toEqual(['ghost']);
+  expect(result.protected.map(p => [p.identifier, p.reason])).toEqual([
+    ['admin', 'Superuser (ALL authority)'],
+    ['AVEyJypVCjJ', 'Your own account'],
+  ]);
+});
+
+test('writes one result row per list entry', () => {
+  const resolution = classifyUserList(['jdoe', 'admin', 'KBkjSGFKSKI', 'ghost'], users, null);
+  expect(resolution.found).toHaveLength(1);
+  expect(buildListResultCSV(resolution, { KBkjSGFKSKI: true }, 'deleted').split('\r\n')).toEqual([
+    'identifier,id,username,status,message',
+    'jdoe,KBkjSGFKSKI,jdoe,deleted,',
+    'admin,wRQIw3NMW29,admin,skipped,Superuser (ALL authority)',
+    'KBkjSGFKSKI,KBkjSGFKSKI,jdoe,deleted,Same account as jdoe',
+    'ghost,,,not found,No user with this username or UID',
+  ]);
+});
+
+test('exports failures so they can be uploaded again as a list', () => {
+  const csv = buildFailureListCSV([{ id: 'KBkjSGFKSKI', username: 'jdoe', reason: 'User is referenced, cannot delete' }]);
+  expect(csv.split('\r\n')[1]).toBe('KBkjSGFKSKI,jdoe,"User is referenced, cannot delete"');
+  expect(parseUserList(csv)).toEqual(['KBkjSGFKSKI']);
+});
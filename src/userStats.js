@@ -0,0 +1,69 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exported users hold multi-valued columns as joined strings: roles and groups with "; ", org unit levels with " | "
+const splitValues = (value) => String(value || '').split(/\s*[;|]\s*/).filter(Boolean);
+
+export const daysSince = (date, now = new Date()) => Math.floor((now - new Date(date)) / DAY_MS);
+
+export const NEVER_LOGGED_IN = 'Never';
+
+export const LOGIN_RECENCY_BUCKETS = [
+  { label: 'Last 7 days', maxDays: 7 },
+  { label: '8–30 days', maxDays: 30 },
+  { label: '31–90 days', maxDays: 90 },
+  { label: '91–365 days', maxDays: 365 },
+  { label: 'Over a year', maxDays: Infinity },
+];
+
+export const loginRecency = (lastLogin, now = new Date()) => {
+  if (!lastLogin) return NEVER_LOGGED_IN;
+  const days = daysSince(lastLogin, now);
+  return LOGIN_RECENCY_BUCKETS.find(bucket => days <= bucket.maxDays).label;
+};
+
+// Besides exported columns, users can be grouped by the derived fields loginRecency and createdMonth
+export const valuesOf = (user, field, now = new Date()) => {
+  if (field === 'loginRecency') return [loginRecency(user.lastLogin, now)];
+  if (field === 'createdMonth') return user.created ? [String(user.created).slice(0, 7)] : [];
+  return splitValues(user[field]);
+};
+
+// Users without a lastLogin have never logged in and get inactiveDays: null
+export const findInactiveUsers = (users, { days, includeNeverLoggedIn = true }, now = new Date()) =>
+  users
+    .map(user => ({ user, inactiveDays: user.lastLogin ? daysSince(user.lastLogin, now) : null }))
+    .filter(({ inactiveDays }) => (inactiveDays === null ? includeNeverLoggedIn : inactiveDays >= days));
+
+const EMPTY_VALUE = '(none)';
+
+// Returns [{ value, count }] sorted by count; a user is counted once for every value they hold
+export const countByValues = (users, field, { emptyLabel = EMPTY_VALUE, now = new Date() } = {}) => {
+  const counts = new Map();
+  users.forEach(user => {
+    const values = valuesOf(user, field, now);
+    (values.length ? [...new Set(values)] : [emptyLabel]).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+// Lines for the confirmation shown before a bulk action on stale accounts
+export const summarizeInactive = (entries, breakdownField, top = 5) => {
+  const never = entries.filter(({ inactiveDays }) => inactiveDays === null).length;
+  const lines = [
+    `${never} never logged in`,
+    `${entries.length - never} inactive since their last login`,
+  ];
+  const groups = countByValues(entries.map(({ user }) => user), breakdownField);
+  groups.slice(0, top).forEach(({ value, count }) => lines.push(`${value}: ${count}`));
+  if (groups.length > top) lines.push(`…and ${groups.length - top} more`);
+  return lines;
+};
+
+// A chart filter is { field, value } as produced by countByValues
+export const matchesChartFilter = (user, filter, now = new Date()) => {
+  if (!filter) return true;
+  const values = valuesOf(user, filter.field, now);
+  return filter.value === EMPTY_VALUE ? values.length === 0 : values.includes(filter.value);
+};
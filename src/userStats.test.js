@@ -0,0 +1,61 @@
+import { findInactiveUsers, countByValues, summarizeInactive, matchesChartFilter } from './userStats';
+
+const now = new Date('2026-06-30T00:00:00Z');
+const users = [
+  { id: 'a', lastLogin: '2026-06-20T08:00:00.000', userRoles: 'Data Entry; Admin', level2: 'Ebonyi' },
+  { id: 'b', lastLogin: '2026-01-01T08:00:00.000', userRoles: 'Data Entry', level2: 'Ebonyi' },
+  { id: 'c', lastLogin: '', userRoles: '', level2: 'Lagos | Ebonyi' },
+];
+
+test('finds stale and never-logged-in accounts', () => {
+  expect(findInactiveUsers(users, { days: 90 }, now).map(({ user, inactiveDays }) => [user.id, inactiveDays]))
+    .toEqual([['b', 179], ['c', null]]);
+  expect(findInactiveUsers(users, { days: 90, includeNeverLoggedIn: false }, now).map(({ user }) => user.id))
+    .toEqual(['b']);
+});
+
+test('counts users per value of a multi-valued column', () => {
+  expect(countByValues(users, 'userRoles')).toEqual([
+    { value: 'Data Entry', count: 2 },
+    { value: '(none)', count: 1 },
+    { value: 'Admin', count: 1 },
+  ]);
+  expect(countByValues(users, 'level2')).toEqual([
+    { value: 'Ebonyi', count: 3 },
+    { value: 'Lagos', count: 1 },
+  ]);
+});
+
+test('summarizes the accounts a bulk action will touch', () => {
+  expect(summarizeInactive(findInactiveUsers(users, { days: 90 }, now), 'level2', 1)).toEqual([
+    '1 never logged in',
+    '1 inactive since their last login',
+    'Ebonyi: 2',
+    '…and 1 more',
+  ]);
+});
+
+test('groups users by login recency and creation month', () => {
+  const dated = [
+    { lastLogin: '2026-06-28T08:00:00.000', created: '2025-03-02T10:00:00.000' },
+    { lastLogin: '2025-01-01T08:00:00.000', created: '2025-03-20T10:00:00.000' },
+    { lastLogin: '', created: '2026-01-05T10:00:00.000' },
+  ];
+
+  expect(countByValues(dated, 'loginRecency', { now })).toEqual([
+    { value: 'Last 7 days', count: 1 },
+    { value: 'Never', count: 1 },
+    { value: 'Over a year', count: 1 },
+  ]);
+  expect(countByValues(dated, 'createdMonth', { now })).toEqual([
+    { value: '2025-03', count: 2 },
+    { value: '2026-01', count: 1 },
+  ]);
+});
+
+test('matches users against a clicked chart segment', () => {
+  expect(users.filter(user => matchesChartFilter(user, { field: 'userRoles', value: 'Admin' }, now)).map(u => u.id)).toEqual(['a']);
+  expect(users.filter(user => matchesChartFilter(user, { field: 'userRoles', value: '(none)' }, now)).map(u => u.id)).toEqual(['c']);
+  expect(users.filter(user => matchesChartFilter(user, { field: 'loginRecency', value: 'Never' }, now)).map(u => u.id)).toEqual(['c']);
+  expect(users.filter(user => matchesChartFilter(user, null, now))).toHaveLength(3);
+});
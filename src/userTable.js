@@ -0,0 +1,38 @@
+// Sorting and column helpers for the virtualized user table. Nothing here mutates its input.
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// sorts is [{ key, direction }] in priority order; empty values always sort last
+export const sortUsers = (users, sorts) => {
+  if (!sorts.length) return users;
+  return [...users].sort((a, b) => {
+    for (const { key, direction } of sorts) {
+      const left = String(a[key] ?? '');
+      const right = String(b[key] ?? '');
+      if (left === right) continue;
+      if (!left) return 1;
+      if (!right) return -1;
+      const order = collator.compare(left, right);
+      if (order !== 0) return direction === 'desc' ? -order : order;
+    }
+    return 0;
+  });
+};
+
+// A plain click sorts by that column alone (asc, desc, off); with additive the column is added to or cycled in the list
+export const toggleSort = (sorts, key, additive = false) => {
+  const current = sorts.find(sort => sort.key === key);
+  const next = !current ? { key, direction: 'asc' } : current.direction === 'asc' ? { key, direction: 'desc' } : null;
+  if (!additive) return next ? [next] : [];
+  if (!current) return [...sorts, next];
+  return next ? sorts.map(sort => (sort.key === key ? next : sort)) : sorts.filter(sort => sort.key !== key);
+};
+
+export const moveColumn = (columns, from, to) => {
+  const fromIndex = columns.indexOf(from);
+  const toIndex = columns.indexOf(to);
+  if (fromIndex < 0 || toIndex < 0 || fromIndex === toIndex) return columns;
+  const next = columns.filter(column => column !== from);
+  next.splice(toIndex, 0, from);
+  return next;
+};
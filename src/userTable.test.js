@@ -0,0 +1,35 @@
+import { sortUsers, toggleSort, moveColumn } from './userTable';
+
+const users = [
+  { id: 'a', surname: 'Okafor', username: 'user10', lastLogin: '' },
+  { id: 'b', surname: 'Adeyemi', username: 'user9', lastLogin: '2026-01-02' },
+  { id: 'c', surname: 'Okafor', username: 'user2', lastLogin: '2026-03-01' },
+];
+
+test('sorts by several columns without touching the source array', () => {
+  const sorted = sortUsers(users, [{ key: 'surname', direction: 'desc' }, { key: 'username', direction: 'asc' }]);
+
+  expect(sorted.map(user => user.id)).toEqual(['c', 'a', 'b']);
+  expect(users.map(user => user.id)).toEqual(['a', 'b', 'c']);
+});
+
+test('keeps empty values last in both directions', () => {
+  expect(sortUsers(users, [{ key: 'lastLogin', direction: 'asc' }]).map(user => user.id)).toEqual(['b', 'c', 'a']);
+  expect(sortUsers(users, [{ key: 'lastLogin', direction: 'desc' }]).map(user => user.id)).toEqual(['c', 'b', 'a']);
+});
+
+test('cycles sort state for plain and additive clicks', () => {
+  expect(toggleSort([], 'surname')).toEqual([{ key: 'surname', direction: 'asc' }]);
+  expect(toggleSort([{ key: 'surname', direction: 'asc' }], 'username')).toEqual([{ key: 'username', direction: 'asc' }]);
+  expect(toggleSort([{ key: 'surname', direction: 'asc' }], 'username', true)).toEqual([
+    { key: 'surname', direction: 'asc' },
+    { key: 'username', direction: 'asc' },
+  ]);
+  expect(toggleSort([{ key: 'surname', direction: 'desc' }, { key: 'username', direction: 'asc' }], 'surname', true))
+    .toEqual([{ key: 'username', direction: 'asc' }]);
+});
+
+test('moves a column to the position of another', () => {
+  expect(moveColumn(['id', 'name', 'username', 'lastLogin'], 'lastLogin', 'name')).toEqual(['id', 'lastLogin', 'name', 'username']);
+  expect(moveColumn(['id', 'name'], 'id', 'missing')).toEqual(['id', 'name']);
+});